@@ -0,0 +1,257 @@
+#!/usr/bin/env node
+'use strict';
+
+var path = require('path');
+var fs = require('fs');
+var DailyRotateFile = require('../');
+
+var USAGE = [
+  'Usage: winston-daily-rotate-file <command> <filename> [options]',
+  '',
+  'Commands:',
+  '  list       List the files with the period each one covers',
+  '  query      Print the entries matching --from, --until, --level and --search',
+  '  tail       Print the current file and follow it across rotations',
+  '  prune      Delete files by --max-files, --older-than and --max-total-size',
+  '  compress   Compress the files left uncompressed, but the current one',
+  '',
+  '<filename> is the filename the transport was configured with.',
+  '',
+  'Naming options, as given to the transport:',
+  '  --dirname, --dated-dirname, --date-pattern, --extended-date-pattern, --prepend,',
+  '  --utc, --timezone, --frequency, --frequency-align, --counter-width, --audit-file,',
+  '  --archive-format',
+  '',
+  'Query options:',
+  '  --from <date>       Oldest entry to print (default: all)',
+  '  --until <date>      Newest entry to print (default: now)',
+  '  --level <level>     Only print entries of this level',
+  '  --search <text>     Only print entries containing this text',
+  '  --order <asc|desc>  Order of the entries (default: asc)',
+  '  --start <n>         Skip the first n matching entries',
+  '  --rows <n>          Print at most n entries',
+  '',
+  'Tail options:',
+  '  --interval <ms>     How often to look for new lines and files (default: 1000)',
+  '',
+  'Prune options:',
+  '  --max-files, --older-than, --max-total-size, --retention-by, as given to the transport.',
+  '  --zipped-archive    Only consider archives, as the transport does when archiving.'
+].join('\n');
+
+var FLAGS = ['prepend', 'utc', 'zipped-archive', 'extended-date-pattern', 'dated-dirname', 'help'];
+var NUMBERS = ['counter-width', 'max-files', 'start', 'rows', 'interval'];
+var TRANSPORT_OPTIONS = ['dirname', 'datedDirname', 'datePattern', 'extendedDatePattern', 'prepend', 'utc', 'timezone', 'frequency',
+  'frequencyAlign', 'counterWidth', 'auditFile', 'archiveFormat', 'zippedArchive',
+  'maxFiles', 'olderThan', 'maxTotalSize', 'retentionBy'];
+
+//
+// Parses `--name value`, `--name=value` and `--flag` arguments into an
+// object keyed by the camel cased name. The rest end up in `_`.
+//
+function parseArgs(argv) {
+  var args = {_: []};
+  for (var i = 0; i < argv.length; i++) {
+    var match = /^--([a-z-]+)(?:=(.*))?$/.exec(argv[i]);
+    if (!match) {
+      args._.push(argv[i]);
+      continue;
+    }
+
+    var name = match[1];
+    var value = match[2];
+    if (value === undefined) {
+      var takesValue = FLAGS.indexOf(name) === -1 && i + 1 < argv.length && argv[i + 1].indexOf('--') !== 0;
+      value = takesValue ? argv[++i] : true;
+    }
+
+    args[name.replace(/-([a-z])/g, function (m, c) {
+      return c.toUpperCase();
+    })] = NUMBERS.indexOf(name) === -1 ? value : Number(value);
+  }
+  return args;
+}
+
+function fail(err) {
+  console.error(err.message || err);
+  process.exitCode = 1;
+}
+
+function createTransport(filename, args) {
+  var options = {filename: filename};
+  TRANSPORT_OPTIONS.forEach(function (key) {
+    if (args[key] !== undefined) {
+      options[key] = args[key];
+    }
+  });
+  return new DailyRotateFile(options);
+}
+
+//
+// Responds with the newest file which has not been archived,
+// the one the transport currently writes to.
+//
+function currentFile(transport, callback) {
+  transport._listFiles(function (err, files) {
+    if (err) {
+      return callback(err);
+    }
+
+    var plain = files.filter(function (file) {
+      return !file.archived;
+    });
+    callback(null, plain.length ? plain[plain.length - 1] : null, files);
+  });
+}
+
+var commands = {
+  list: function (transport) {
+    transport._listFiles(function (err, files) {
+      if (err) {
+        return fail(err);
+      }
+
+      files.forEach(function (file) {
+        var size = fs.existsSync(file.name) ? fs.statSync(file.name).size : 0;
+        console.log([
+          transport._relativeName(file.name),
+          file.start ? file.start.toISOString() : '-',
+          file.end ? file.end.toISOString() : '-',
+          size
+        ].join('\t'));
+      });
+    });
+  },
+
+  query: function (transport, args) {
+    transport.on('unreadable', function (name, err) {
+      console.error('Skipped ' + name + ': ' + err.message);
+    });
+    transport.query({
+      from: args.from ? new Date(args.from) : new Date(0),
+      until: args.until ? new Date(args.until) : new Date(),
+      order: args.order || 'asc',
+      rows: Infinity
+    }, function (err, results) {
+      if (err) {
+        return fail(err);
+      }
+
+      results = results.filter(function (log) {
+        return (!args.level || log.level === args.level) &&
+          (!args.search || JSON.stringify(log).indexOf(args.search) !== -1);
+      }).slice(args.start || 0);
+
+      if (args.rows) {
+        results = results.slice(0, args.rows);
+      }
+
+      results.forEach(function (log) {
+        console.log(JSON.stringify(log));
+      });
+    });
+  },
+
+  tail: function (transport, args) {
+    var interval = args.interval || 1000;
+    currentFile(transport, function (err, file) {
+      if (err || !file) {
+        return fail(err || 'No file to tail');
+      }
+
+      var current = file.name;
+      var stream = transport.stream({filename: current, interval: interval});
+      stream.on('data', function (line) {
+        console.log(line);
+      });
+      stream.on('error', function (err) {
+        if (!(err instanceof SyntaxError)) {
+          fail(err);
+          stream.destroy();
+        }
+      });
+
+      //
+      // The transport writing the files runs in another process, so the
+      // stream learns about the next file from here.
+      //
+      (function poll() {
+        if (stream.destroyed) {
+          return;
+        }
+
+        currentFile(transport, function (err, file) {
+          if (!err && file && file.name !== current) {
+            current = file.name;
+            transport.emit('open', current);
+          }
+          setTimeout(poll, interval);
+        });
+      })();
+    });
+  },
+
+  prune: function (transport) {
+    if (!transport.maxFiles && !transport.olderThan && !transport.maxTotalSize) {
+      return fail('prune needs --max-files, --older-than or --max-total-size');
+    }
+
+    transport.on('error', function () {});
+    transport.on('logRemoved', function (name, policy) {
+      console.log(name + '\t' + policy);
+    });
+    transport._unlinkOldFiles(true, function (err) {
+      if (err) {
+        fail(err);
+      }
+    });
+  },
+
+  compress: function (transport) {
+    transport.on('archive', function (src, dest) {
+      console.log(src + '\t' + dest);
+    });
+
+    currentFile(transport, function (err, current, files) {
+      if (err) {
+        return fail(err);
+      }
+
+      var leftover = files.filter(function (file) {
+        return !file.archived && file !== current;
+      });
+
+      (function next() {
+        var file = leftover.shift();
+        if (!file) {
+          return;
+        }
+
+        transport._archiveFile(file.name, function (err) {
+          if (err) {
+            return fail(err);
+          }
+          next();
+        });
+      })();
+    });
+  }
+};
+
+var args = parseArgs(process.argv.slice(2));
+var command = commands[args._[0]];
+
+if (args._[0] === 'compress') {
+  args.zippedArchive = true;
+}
+
+if (args.help || !command || !args._[1]) {
+  console.log(USAGE);
+  process.exitCode = args.help ? 0 : 1;
+} else {
+  try {
+    command(createTransport(path.resolve(args._[1]), args), args);
+  } catch (err) {
+    fail(err);
+  }
+}
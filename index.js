@@ -3,953 +3,5081 @@
 var fs = require('fs');
 var path = require('path');
 var util = require('util');
-var common = require('winston/lib/winston/common');
-var Transport = require('winston').Transport;
+var winston = require('winston');
+var Transport = winston.Transport;
 var Stream = require('stream').Stream;
+var Transform = require('stream').Transform;
+var PassThrough = require('stream').PassThrough;
+var StringDecoder = require('string_decoder').StringDecoder;
 var os = require('os');
-var winston = require('winston');
 var zlib = require('zlib');
+var crypto = require('crypto');
+var childProcess = require('child_process');
 var async = require('async');
 var ms = require('ms');
 
 //
-// ### function DailyRotateFile (options)
-// #### @options {Object} Options for this instance.
-// Constructor function for the DailyRotateFile transport object responsible
-// for persisting log messages and metadata to one or more files.
+// With winston 3 the transport is a writable stream of `info` objects,
+// already formatted by the `format` of the transport or logger into
+// `info[MESSAGE]`. With winston 2 it formats messages itself.
 //
-var DailyRotateFile = module.exports = function (options)
-{
-    Transport.call(this, options);
+var WINSTON3 = parseInt(winston.version, 10) >= 3;
+var MESSAGE = Symbol.for('message');
+var common = WINSTON3 ? null : require('winston/lib/winston/common');
 
-    //
-    // Helper function which throws an `Error` in the event
-    // that any of the rest of the arguments is present in `options`.
-    //
-    function throwIf(target /* , illegal... */)
-    {
-        Array.prototype.slice.call(arguments, 1).forEach(function (name)
-        {
-            if (options[name])
-            {
-                throw new Error('Cannot set ' + name + ' and ' + target + 'together');
-            }
-        });
-    }
+var MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+    'August', 'September', 'October', 'November', 'December'];
+var DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
 
-    if (options.filename || options.dirname)
-    {
-        throwIf('filename or dirname', 'stream');
-        this._basename = this.filename = options.filename ?
-            path.basename(options.filename) :
-            'winston.log';
+//
+// Rotation units, ordered from the shortest to the longest period.
+//
+var UNITS = ['second', 'minute', 'hour', 'day', 'week', 'month', 'quarter', 'year'];
 
-        this.dirname = options.dirname || path.dirname(options.filename);
-        this.options = options.options || {flags: 'a'};
+//
+// Every token understood in a `datePattern`, mapped to the unit
+// of time it changes with.
+//
+var DATE_TOKENS = {
+    yy: 'year',
+    yyyy: 'year',
+    GG: 'week',
+    GGGG: 'week',
+    Q: 'quarter',
+    M: 'month',
+    MM: 'month',
+    MMM: 'month',
+    MMMM: 'month',
+    W: 'week',
+    WW: 'week',
+    d: 'day',
+    dd: 'day',
+    ddd: 'day',
+    dddd: 'day',
+    D: 'day',
+    DDD: 'day',
+    H: 'hour',
+    HH: 'hour',
+    h: 'hour',
+    hh: 'hour',
+    m: 'minute',
+    mm: 'minute',
+    s: 'second',
+    ss: 'second'
+};
 
-        //
-        // "24 bytes" is maybe a good value for logging lines.
-        //
-        this.options.highWaterMark = this.options.highWaterMark || 24;
-    } else if (options.stream)
-    {
-        throwIf('stream', 'filename', 'maxsize');
-        this._stream = options.stream;
-        var self = this;
-        this._stream.on('error', function (error)
-        {
-            self.emit('error', error);
-        });
+//
+// Letters which only start a token with `extendedDatePattern` set. Earlier
+// versions copied them as they are, as in '.yyyy-MM-dd.json' or '.logs'.
+//
+var EXTENDED_DATE_LETTERS = 'GQWDs';
 
-        //
-        // We need to listen for drain events when
-        // write() returns false. This can make node
-        // mad at times.
-        //
-        this._stream.setMaxListeners(Infinity);
-    } else
+//
+// Regular expression source matching the output of each token.
+//
+var DATE_TOKEN_PATTERNS = {
+    yy: '\\d{2}',
+    yyyy: '\\d{4}',
+    GG: '\\d{2}',
+    GGGG: '\\d{4}',
+    Q: '[1-4]',
+    M: '\\d{1,2}',
+    MM: '\\d{2}',
+    MMM: MONTH_NAMES.map(function (name)
     {
-        throw new Error('Cannot log to file without filename or stream.');
-    }
-
-    this.json = options.json !== false;
-    this.colorize = options.colorize || false;
-    this.maxsize = options.maxsize || null;
-    this.maxFiles = options.maxFiles || null;
-    this.label = options.label || null;
-    this.prettyPrint = options.prettyPrint || false;
-    this.showLevel = options.showLevel === undefined ? true : options.showLevel;
-    this.timestamp = options.timestamp ? options.timestamp : true;
-    this.datePattern = options.datePattern ? options.datePattern : '.yyyy-MM-dd';
-    this.depth = options.depth || null;
-    this.eol = options.eol || os.EOL;
-    this.maxRetries = options.maxRetries || 2;
-    this.prepend = options.prepend || false;
-    this.zippedArchive = options.zippedArchive || false;
-    this.olderThan = options.olderThan || null;
-
-    if (this.json)
+        return name.slice(0, 3);
+    }).join('|'),
+    MMMM: MONTH_NAMES.join('|'),
+    W: '\\d{1,2}',
+    WW: '\\d{2}',
+    d: '\\d{1,2}',
+    dd: '\\d{2}',
+    ddd: DAY_NAMES.map(function (name)
     {
-        this.stringify = options.stringify;
-    }
-
-    //
-    // Internal state variables representing the number
-    // of files this instance has created and the current
-    // size (in bytes) of the current logfile.
-    //
-    this._firstRun = true;
-    this._size = 0;
-    this._created = 1;
-    this._buffer = [];
-    this._draining = false;
-    this._failures = 0;
-    this._archive = false;
-
-    var now = new Date();
-    this._year = now.getFullYear();
-    this._month = now.getMonth();
-    this._date = now.getDate();
-    this._hour = now.getHours();
-    this._minute = now.getMinutes();
-    this._token = /d{1,4}|m{1,4}|yy(?:yy)?|([HhM])\1?/g;
+        return name.slice(0, 3);
+    }).join('|'),
+    dddd: DAY_NAMES.join('|'),
+    D: '\\d{1,3}',
+    DDD: '\\d{3}',
+    H: '\\d{1,2}',
+    HH: '\\d{2}',
+    h: '\\d{1,2}',
+    hh: '\\d{2}',
+    m: '\\d{1,2}',
+    mm: '\\d{2}',
+    s: '\\d{1,2}',
+    ss: '\\d{2}'
+};
 
-    var pad = function (val, len)
-    {
-        val = String(val);
-        len = len || 2;
-        while (val.length < len)
-        {
-            val = '0' + val;
-        }
-        return val;
-    };
+function escapeRegExp(str)
+{
+    return str.replace(/[\-\[\]\/\{\}\(\)\*\+\?\.\\\^\$\|]/g, '\\$&');
+}
 
-    this.getFormattedDate = function ()
-    {
-        var flags = {
-            yy: String(this._year).slice(2),
-            yyyy: this._year,
-            M: this._month + 1,
-            MM: pad(this._month + 1),
-            d: this._date,
-            dd: pad(this._date),
-            H: this._hour,
-            HH: pad(this._hour),
-            m: this._minute,
-            mm: pad(this._minute)
-        };
-        return this.datePattern.replace(this._token, function ($0)
-        {
-            return $0 in flags ? flags[$0] : $0.slice(1, $0.length - 1);
-        });
-    };
+//
+// File name extension of the archives written for each `archiveFormat`.
+//
+var ARCHIVE_EXTENSIONS = {
+    gzip: '.gz',
+    brotli: '.br'
 };
 
 //
-// Inherit from `winston.Transport`.
+// Appended to the name of an archive found corrupt on startup.
 //
-util.inherits(DailyRotateFile, Transport);
-
-/**
- * Define a getter so that `winston.transports.DailyRotateFile`
- * is available and thus backwards compatible.
- */
-winston.transports.DailyRotateFile = DailyRotateFile;
+var CORRUPT_EXTENSION = '.corrupt';
 
 //
-// Expose the name of this Transport on the prototype
+// Encrypted files start with `ENCRYPTION_MAGIC`, followed by the length of
+// the key id as 16 bit big endian number, the key id itself and the IV.
+// The AES-256-GCM encrypted contents come next, and the authentication tag
+// ends the file. The header is authenticated along with the contents.
 //
-DailyRotateFile.prototype.name = 'dailyRotateFile';
+var ENCRYPTION_MAGIC = Buffer.from('WDRFENC1');
+var ENCRYPTION_EXTENSION = '.enc';
+var IV_LENGTH = 12;
+var TAG_LENGTH = 16;
 
 //
-// ### function log (level, msg, [meta], callback)
-// #### @level {string} Level at which to log the message.
-// #### @msg {string} Message to log
-// #### @meta {Object} **Optional** Additional metadata to attach
+// ### function getKey (keyProvider, keyId, callback)
+// #### @keyProvider {function} The `keyProvider` option.
+// #### @keyId {String} Id of the key to decrypt with, `null` for the key to encrypt with.
 // #### @callback {function} Continuation to respond to when complete.
-// Core logging method exposed to Winston. Metadata is optional.
+// Asks `keyProvider` for a key, which it may hand over either through the
+// callback or as the value of a returned promise, and responds with it as
+// `{id, key}` once it has made sure `key` is a 256 bit Buffer.
 //
-DailyRotateFile.prototype.log = function (level, msg, meta, callback)
+function getKey(keyProvider, keyId, callback)
 {
-    if (this.silent)
-    {
-        return callback(null, true);
-    }
-
-    //
-    // If failures exceeds maxRetries then we can't access the
-    // stream. In this case we need to perform a noop and return
-    // an error.
-    //
-    if (this._failures >= this.maxRetries)
+    var done = false;
+    function respond(err, result)
     {
-        return callback(new Error('Transport is in a failed state.'));
-    }
-
-    var self = this;
-
-    var output = common.log({
-            level: level,
-            message: msg,
-            meta: meta,
-            json: this.json,
-            colorize: this.colorize,
-            prettyPrint: this.prettyPrint,
-            timestamp: this.timestamp,
-            label: this.label,
-            stringify: this.stringify,
-            showLevel: this.showLevel,
-            depth: this.depth,
-            formatter: this.formatter,
-            humanReadableUnhandledException: this.humanReadableUnhandledException
-        }) + this.eol;
-
-    this._size += output.length;
+        if (done)
+        {
+            return;
+        }
 
-    if (this.filename)
-    {
-        this.open(function (err)
+        done = true;
+        if (!err && (!result || !Buffer.isBuffer(result.key) || result.key.length !== 32 ||
+            result.id === undefined || result.id === null))
         {
-            if (err)
-            {
-                //
-                // If there was an error enqueue the message
-                //
-                return self._buffer.push([output, callback]);
-            }
+            err = new Error('keyProvider must provide a 32 byte Buffer as key and its id');
+        }
 
-            self._write(output, callback);
-            self._lazyDrain();
-        });
-    } else
+        callback(err, err ? null : {id: String(result.id), key: result.key});
+    }
+
+    if (!keyProvider)
     {
-        //
-        // If there is no `filename` on this instance then it was configured
-        // with a raw `WriteableStream` instance and we should not perform any
-        // size restrictions.
-        //
-        this._write(output, callback);
-        this._lazyDrain();
+        return respond(new Error('Cannot encrypt or decrypt files without keyProvider'));
     }
-};
 
-//
-// ### function _write (data, cb)
-// #### @data {String|Buffer} Data to write to the instance's stream.
-// #### @cb {function} Continuation to respond to when complete.
-// Write to the stream, ensure execution of a callback on completion.
-//
-DailyRotateFile.prototype._write = function (data, callback)
-{
-    // If this is a file write stream, we could use the builtin
-    // callback functionality, however, the stream is not guaranteed
-    // to be an fs.WriteStream.
-    var ret = this._stream.write(data);
-    if (!callback)
+    var promise;
+    try
     {
-        return;
+        promise = keyProvider(keyId, respond);
+    } catch (err)
+    {
+        return respond(err);
     }
 
-    if (ret === false)
+    if (promise && typeof promise.then === 'function')
     {
-        return this._stream.once('drain', function ()
+        promise.then(function (result)
         {
-            callback(null, true);
-        });
+            respond(null, result);
+        }, respond);
     }
-    callback(null, true);
-};
+}
 
 //
-// ### function query (options, callback)
-// #### @options {Object} Loggly-like query options for this instance.
-// #### @callback {function} Continuation to respond to when complete.
-// Query the transport. Options object is optional.
+// ### function createEncryptStream (keyId, key)
+// #### @keyId {String} Id of `key`, stored in the header.
+// #### @key {Buffer} 256 bit key.
+// Returns a stream encrypting what is written to it into the format
+// described at `ENCRYPTION_MAGIC`.
 //
-DailyRotateFile.prototype.query = function (options, callback)
+function createEncryptStream(keyId, key)
 {
-    if (typeof options === 'function')
-    {
-        callback = options;
-        options = {};
-    }
+    var id = Buffer.from(keyId, 'utf8');
+    var length = Buffer.alloc(2);
+    var iv = crypto.randomBytes(IV_LENGTH);
 
-    // TODO when maxfilesize rotate occurs
-    var file = path.join(this.dirname, this._getFilename());
-    options = this.normalizeQuery(options);
-    var buff = '';
-    var results = [];
-    var row = 0;
+    length.writeUInt16BE(id.length, 0);
 
-    var stream = fs.createReadStream(file, {
-        encoding: 'utf8'
-    });
+    var header = Buffer.concat([ENCRYPTION_MAGIC, length, id, iv]);
+    var cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    var encrypt = new Transform();
 
-    stream.on('error', function (err)
+    cipher.setAAD(header);
+    encrypt.push(header);
+    encrypt._transform = function (chunk, encoding, callback)
     {
-        if (stream.readable)
-        {
-            stream.destroy();
-        }
-        if (!callback)
-        {
-            return;
-        }
-        return err.code === 'ENOENT' ? callback(null, results) : callback(err);
-    });
-
-    stream.on('data', function (data)
+        callback(null, cipher.update(chunk));
+    };
+    encrypt._flush = function (callback)
     {
-        data = (buff + data).split(/\n+/);
-        var l = data.length - 1;
-        var i = 0;
+        this.push(cipher.final());
+        this.push(cipher.getAuthTag());
+        callback();
+    };
 
-        for (; i < l; i++)
-        {
-            if (!options.start || row >= options.start)
-            {
-                add(data[i]);
-            }
-            row++;
-        }
+    return encrypt;
+}
 
-        buff = data[l];
-    });
+//
+// ### function createDecryptStream (file, keyProvider)
+// #### @file {String} Path of an encrypted file.
+// #### @keyProvider {function} The `keyProvider` option.
+// Returns a stream of the decrypted contents of `file`, using the key
+// `keyProvider` provides for the id in its header. Errors, including
+// those of files which have been tampered with, are emitted on it.
+//
+function createDecryptStream(file, keyProvider)
+{
+    var output = new PassThrough();
+    var fd = null;
 
-    stream.on('close', function ()
-    {
-        if (buff)
-        {
-            add(buff, true);
-        }
-        if (options.order === 'desc')
+    async.waterfall([
+        function (next)
         {
-            results = results.reverse();
-        }
-        if (callback)
+            fs.open(file, 'r', next);
+        },
+        function (opened, next)
         {
-            callback(null, results);
-        }
-    });
-
-    function add(buff, attempt)
-    {
-        try
+            fd = opened;
+            fs.fstat(fd, next);
+        },
+        function (stats, next)
         {
-            var log = JSON.parse(buff);
-            if (check(log))
+            var head = Buffer.alloc(Math.min(stats.size, ENCRYPTION_MAGIC.length + 2 + 0xffff + IV_LENGTH));
+            fs.read(fd, head, 0, head.length, 0, function (err)
             {
-                push(log);
-            }
-        } catch (e)
+                next(err, stats.size, head);
+            });
+        },
+        function (size, head, next)
         {
-            if (!attempt)
-            {
-                stream.emit('error', e);
-            }
-        }
-    }
+            var idStart = ENCRYPTION_MAGIC.length + 2;
+            var idEnd = head.length >= idStart ? idStart + head.readUInt16BE(ENCRYPTION_MAGIC.length) : 0;
+            var headerLength = idEnd + IV_LENGTH;
 
-    function push(log)
-    {
-        if (options.rows && results.length >= options.rows)
-        {
-            if (stream.readable)
+            if (head.length < idStart || !head.slice(0, ENCRYPTION_MAGIC.length).equals(ENCRYPTION_MAGIC) ||
+                size < headerLength + TAG_LENGTH)
             {
-                stream.destroy();
+                return next(new Error(file + ' is not an encrypted log file'));
             }
-            return;
-        }
 
-        if (options.fields)
+            var tag = Buffer.alloc(TAG_LENGTH);
+            fs.read(fd, tag, 0, TAG_LENGTH, size - TAG_LENGTH, function (err)
+            {
+                next(err, {
+                    size: size,
+                    header: head.slice(0, headerLength),
+                    keyId: head.toString('utf8', idStart, idEnd),
+                    iv: head.slice(idEnd, headerLength),
+                    tag: tag
+                });
+            });
+        },
+        function (info, next)
         {
-            var obj = {};
-            options.fields.forEach(function (key)
+            getKey(keyProvider, info.keyId, function (err, result)
             {
-                obj[key] = log[key];
+                next(err, info, result && result.key);
             });
-            log = obj;
         }
-
-        results.push(log);
-    }
-
-    function check(log)
+    ], function (err, info, key)
     {
-        if (!log)
+        if (fd !== null)
         {
-            return;
+            fs.close(fd, function () {});
         }
 
-        if (typeof log !== 'object')
+        if (err)
         {
-            return;
+            return output.emit('error', err);
         }
 
-        var time = new Date(log.timestamp);
-        if ((options.from && time < options.from) ||
-            (options.until && time > options.until))
+        var decipher = crypto.createDecipheriv('aes-256-gcm', key, info.iv);
+        decipher.setAAD(info.header);
+        decipher.setAuthTag(info.tag);
+        decipher.on('error', function (err)
         {
-            return;
-        }
+            output.emit('error', err);
+        });
 
-        return true;
-    }
-};
+        if (info.size === info.header.length + TAG_LENGTH)
+        {
+            decipher.end();
+        } else
+        {
+            fs.createReadStream(file, {
+                start: info.header.length,
+                end: info.size - TAG_LENGTH - 1
+            }).on('error', function (err)
+            {
+                output.emit('error', err);
+            }).pipe(decipher);
+        }
+
+        decipher.pipe(output);
+    });
+
+    return output;
+}
+
+//
+// ### function createLogReadStream (file, [keyProvider])
+// #### @file {String} Path of a log file or archive.
+// #### @keyProvider {function} **Optional** The `keyProvider` option.
+// Returns a stream of the contents of `file`, decrypted and decompressed
+// on the fly if it is an archive. Errors reading the file are emitted on
+// the returned stream.
+//
+function createLogReadStream(file, keyProvider)
+{
+    var encrypted = file.slice(-ENCRYPTION_EXTENSION.length) === ENCRYPTION_EXTENSION;
+    var input = encrypted ? createDecryptStream(file, keyProvider) : fs.createReadStream(file);
+    var name = encrypted ? file.slice(0, -ENCRYPTION_EXTENSION.length) : file;
+    var decompress;
+
+    if (/\.gz$/.test(name))
+    {
+        decompress = zlib.createGunzip();
+    } else if (/\.br$/.test(name))
+    {
+        decompress = zlib.createBrotliDecompress();
+    } else
+    {
+        return input;
+    }
+
+    input.on('error', function (err)
+    {
+        decompress.emit('error', err);
+    });
+    return input.pipe(decompress);
+}
+
+//
+// ### function hashStream (stream, callback)
+// #### @stream {Stream} Readable stream to hash.
+// #### @callback {function} Continuation to respond to when complete.
+// Responds with the hex encoded SHA-256 hash of the contents of `stream`.
+//
+function hashStream(stream, callback)
+{
+    var hash = crypto.createHash('sha256');
+    var done = false;
+
+    stream.on('error', function (err)
+    {
+        if (!done)
+        {
+            done = true;
+            callback(err);
+        }
+    }).on('data', function (data)
+    {
+        hash.update(data);
+    }).on('end', function ()
+    {
+        if (!done)
+        {
+            done = true;
+            callback(null, hash.digest('hex'));
+        }
+    });
+}
+
+//
+// ### function hashFile (file, callback)
+// #### @file {String} Path of the file to hash.
+// #### @callback {function} Continuation to respond to when complete.
+// Responds with the hex encoded SHA-256 hash of the contents of `file`.
+//
+function hashFile(file, callback)
+{
+    hashStream(fs.createReadStream(file), callback);
+}
+
+//
+// With `hashChain` every line ends with the hash of the line and of the
+// line before it. The chain of the very first line starts from zeros.
+//
+var CHAIN_GENESIS = new Array(65).join('0');
+var CHAIN_HASH = /,"chainHash":"([0-9a-f]{64})"\}$/;
+
+//
+// Header and footer records are JSON lines told apart from logged
+// messages by this field, which holds 'header' or 'footer'.
+//
+var RECORD_FIELD = '_dailyRotateFile';
+
+//
+// ### function isRecord (line)
+// #### @line {String} Line read from a log file.
+// Returns true if `line` is a header or footer record.
+//
+function isRecord(line)
+{
+    if (line.indexOf('"' + RECORD_FIELD + '":') === -1)
+    {
+        return false;
+    }
+
+    try
+    {
+        return Boolean(JSON.parse(line)[RECORD_FIELD]);
+    } catch (e)
+    {
+        return false;
+    }
+}
+
+//
+// ### function chainHash (previous, line)
+// #### @previous {String} Hash of the line before `line`.
+// #### @line {String} Line without its `chainHash` field.
+// Returns the hex encoded SHA-256 hash linking `line` to the chain.
+//
+function chainHash(previous, line)
+{
+    return crypto.createHash('sha256').update(previous + line).digest('hex');
+}
+
+//
+// ### function parseSize (size)
+// #### @size {Number|String} Number of bytes, or a string such as '500k', '20m' or '2g'.
+// Returns the number of bytes `size` stands for.
+//
+function parseSize(size)
+{
+    if (typeof size === 'number')
+    {
+        return size;
+    }
+
+    var match = /^(\d+(?:\.\d+)?)\s*([kmg]?)b?$/i.exec(String(size).trim());
+    if (!match)
+    {
+        throw new Error('Invalid size ' + size);
+    }
+
+    return Math.floor(parseFloat(match[1]) * {'': 1, 'k': 1024, 'm': 1048576, 'g': 1073741824}[match[2].toLowerCase()]);
+}
+
+function pad(val, len)
+{
+    val = String(val);
+    len = len || 2;
+    while (val.length < len)
+    {
+        val = '0' + val;
+    }
+    return val;
+}
+
+//
+// ### function tokenizeDatePattern (pattern, [extended])
+// #### @pattern {String} datePattern to split up.
+// #### @extended {Boolean} **Optional** Whether `EXTENDED_DATE_LETTERS` start tokens.
+// Splits `pattern` into `{token}` and `{literal}` parts. Runs of the same
+// letter are matched against the longest token in `DATE_TOKENS`, anything
+// else is literal. Text between single quotes is always literal and two
+// single quotes in a row produce one quote character.
+//
+function tokenizeDatePattern(pattern, extended)
+{
+    var parts = [];
+    var literal = '';
+    var i = 0;
+
+    while (i < pattern.length)
+    {
+        var ch = pattern.charAt(i);
+
+        if (ch === '\'')
+        {
+            if (pattern.charAt(i + 1) === '\'')
+            {
+                literal += '\'';
+                i += 2;
+                continue;
+            }
+
+            for (i++; i < pattern.length; i++)
+            {
+                if (pattern.charAt(i) === '\'')
+                {
+                    if (pattern.charAt(i + 1) !== '\'')
+                    {
+                        break;
+                    }
+                    i++;
+                }
+                literal += pattern.charAt(i);
+            }
+            i++;
+            continue;
+        }
+
+        var len = 1;
+        while (pattern.charAt(i + len) === ch)
+        {
+            len++;
+        }
+        if (!extended && EXTENDED_DATE_LETTERS.indexOf(ch) !== -1)
+        {
+            len = 0;
+        }
+        while (len && !DATE_TOKENS.hasOwnProperty(pattern.substr(i, len)))
+        {
+            len--;
+        }
+
+        if (!len)
+        {
+            literal += ch;
+            i++;
+            continue;
+        }
+
+        if (literal)
+        {
+            parts.push({literal: literal});
+            literal = '';
+        }
+        parts.push({token: pattern.substr(i, len)});
+        i += len;
+    }
+
+    if (literal)
+    {
+        parts.push({literal: literal});
+    }
+
+    return parts;
+}
+
+//
+// ### function isoWeek (date)
+// #### @date {Object} Date parts as returned by `_getDateParts`.
+// Returns the ISO 8601 week number and the year that week belongs to.
+//
+function isoWeek(date)
+{
+    var thursday = new Date(Date.UTC(date.year, date.month, date.date));
+    thursday.setUTCDate(thursday.getUTCDate() + 4 - (thursday.getUTCDay() || 7));
+    var yearStart = Date.UTC(thursday.getUTCFullYear(), 0, 1);
+
+    return {
+        year: thursday.getUTCFullYear(),
+        week: Math.ceil(((thursday - yearStart) / 86400000 + 1) / 7)
+    };
+}
+
+//
+// ### function dayOfYear (date)
+// #### @date {Object} Date parts as returned by `_getDateParts`.
+// Returns the day of the year, starting at 1 for January 1st.
+//
+function dayOfYear(date)
+{
+    return (Date.UTC(date.year, date.month, date.date) - Date.UTC(date.year, 0, 1)) / 86400000 + 1;
+}
+
+//
+// ### function formatDateToken (token, date)
+// #### @token {String} One of the keys of `DATE_TOKENS`.
+// #### @date {Object} Date parts as returned by `_getDateParts`.
+// Renders a single datePattern token.
+//
+function formatDateToken(token, date)
+{
+    switch (token)
+    {
+        case 'yy':
+            return String(date.year).slice(2);
+        case 'yyyy':
+            return String(date.year);
+        case 'GG':
+            return String(isoWeek(date).year).slice(2);
+        case 'GGGG':
+            return String(isoWeek(date).year);
+        case 'Q':
+            return String(Math.floor(date.month / 3) + 1);
+        case 'M':
+            return String(date.month + 1);
+        case 'MM':
+            return pad(date.month + 1);
+        case 'MMM':
+            return MONTH_NAMES[date.month].slice(0, 3);
+        case 'MMMM':
+            return MONTH_NAMES[date.month];
+        case 'W':
+            return String(isoWeek(date).week);
+        case 'WW':
+            return pad(isoWeek(date).week);
+        case 'd':
+            return String(date.date);
+        case 'dd':
+            return pad(date.date);
+        case 'ddd':
+            return DAY_NAMES[date.day].slice(0, 3);
+        case 'dddd':
+            return DAY_NAMES[date.day];
+        case 'D':
+            return String(dayOfYear(date));
+        case 'DDD':
+            return pad(dayOfYear(date), 3);
+        case 'H':
+            return String(date.hour);
+        case 'HH':
+            return pad(date.hour);
+        case 'h':
+            return String(date.hour % 12 || 12);
+        case 'hh':
+            return pad(date.hour % 12 || 12);
+        case 'm':
+            return String(date.minute);
+        case 'mm':
+            return pad(date.minute);
+        case 's':
+            return String(date.second);
+        case 'ss':
+            return pad(date.second);
+        default:
+            return '';
+    }
+}
+
+//
+// ### function rotationUnit (parts)
+// #### @parts {Array} Tokenized datePattern.
+// Returns the shortest unit any token of the pattern changes with,
+// or `null` if the pattern has no tokens and thus never rotates.
+//
+function rotationUnit(parts)
+{
+    var unit = null;
+    parts.forEach(function (part)
+    {
+        if (part.token && (!unit || UNITS.indexOf(DATE_TOKENS[part.token]) < UNITS.indexOf(unit)))
+        {
+            unit = DATE_TOKENS[part.token];
+        }
+    });
+    return unit;
+}
+
+//
+// ### function parseDateFields (parts, values)
+// #### @parts {Array} Tokenized datePattern.
+// #### @values {Array} Text matched for each token of `parts`, in order.
+// Reads the calendar fields back out of a formatted date. Fields which
+// the pattern does not contain are left undefined.
+//
+function parseDateFields(parts, values)
+{
+    var fields = {};
+    parts.filter(function (part)
+    {
+        return part.token;
+    }).forEach(function (part, i)
+    {
+        var value = values[i];
+        var number = parseInt(value, 10);
+        switch (part.token)
+        {
+            case 'yy':
+                fields.year = 2000 + number;
+                break;
+            case 'yyyy':
+                fields.year = number;
+                break;
+            case 'GG':
+                fields.weekYear = 2000 + number;
+                break;
+            case 'GGGG':
+                fields.weekYear = number;
+                break;
+            case 'Q':
+                fields.quarter = number;
+                break;
+            case 'M':
+            case 'MM':
+                fields.month = number - 1;
+                break;
+            case 'MMM':
+            case 'MMMM':
+                fields.month = MONTH_NAMES.map(function (name)
+                {
+                    return name.slice(0, value.length);
+                }).indexOf(value);
+                break;
+            case 'W':
+            case 'WW':
+                fields.week = number;
+                break;
+            case 'd':
+            case 'dd':
+                fields.date = number;
+                break;
+            case 'D':
+            case 'DDD':
+                fields.dayOfYear = number;
+                break;
+            case 'H':
+            case 'HH':
+                fields.hour = number;
+                break;
+            case 'm':
+            case 'mm':
+                fields.minute = number;
+                break;
+            case 's':
+            case 'ss':
+                fields.second = number;
+                break;
+            default:
+                break;
+        }
+    });
+    return fields;
+}
+
+//
+// ### function periodStart (fields, unit)
+// #### @fields {Object} Calendar fields as returned by `parseDateFields`.
+// #### @unit {String} One of `UNITS`.
+// Returns the date parts of the first instant of the period of length
+// `unit` described by `fields`, or `null` if `fields` do not pin it down
+// (for example a weekday without a date, or a 12 hour clock).
+//
+function periodStart(fields, unit)
+{
+    var start = {year: fields.year, month: 0, date: 1, hour: 0, minute: 0, second: 0};
+
+    if (unit === 'week')
+    {
+        var year = fields.weekYear === undefined ? fields.year : fields.weekYear;
+        if (year === undefined || fields.week === undefined)
+        {
+            return null;
+        }
+
+        var jan4 = new Date(Date.UTC(year, 0, 4));
+        var monday = new Date(jan4.getTime() + ((fields.week - 1) * 7 + 1 - (jan4.getUTCDay() || 7)) * 86400000);
+        start.year = monday.getUTCFullYear();
+        start.month = monday.getUTCMonth();
+        start.date = monday.getUTCDate();
+        return start;
+    }
+
+    if (start.year === undefined)
+    {
+        return null;
+    }
+
+    if (unit === 'quarter')
+    {
+        start.month = fields.quarter === undefined ? undefined : (fields.quarter - 1) * 3;
+    } else if (unit !== 'year')
+    {
+        start.month = fields.month;
+    }
+
+    if (UNITS.indexOf(unit) <= UNITS.indexOf('day'))
+    {
+        if (fields.dayOfYear === undefined)
+        {
+            start.date = fields.date;
+        } else
+        {
+            start.month = 0;
+            start.date = fields.dayOfYear;
+        }
+    }
+
+    var keys = ['hour', 'minute', 'second'];
+    for (var i = 0; i < 3 - UNITS.indexOf(unit); i++)
+    {
+        start[keys[i]] = fields[keys[i]];
+    }
+
+    for (var key in start)
+    {
+        if (start[key] === undefined)
+        {
+            return null;
+        }
+    }
+
+    return start;
+}
+
+//
+// ### function periodEnd (start, unit)
+// #### @start {Object} Date parts as returned by `periodStart`.
+// #### @unit {String} One of `UNITS`.
+// Returns the date parts of the first instant after the period.
+//
+function periodEnd(start, unit)
+{
+    var end = {};
+    Object.keys(start).forEach(function (key)
+    {
+        end[key] = start[key];
+    });
+    switch (unit)
+    {
+        case 'year':
+            end.year++;
+            break;
+        case 'quarter':
+            end.month += 3;
+            break;
+        case 'month':
+            end.month++;
+            break;
+        case 'week':
+            end.date += 7;
+            break;
+        case 'day':
+            end.date++;
+            break;
+        default:
+            end[unit]++;
+    }
+    return end;
+}
+
+//
+// ### function sortFiles (files)
+// #### @files {Array} Files as returned by `_parseFilename`.
+// Sorts files by period and size rotation counter, oldest first.
+//
+function sortFiles(files)
+{
+    return files.sort(function (a, b)
+    {
+        return (a.start || 0) - (b.start || 0) || a.counter - b.counter;
+    });
+}
+
+//
+// ### function periodKey (date, unit)
+// #### @date {Object} Date parts as returned by `_getDateParts`.
+// #### @unit {String} One of `UNITS`.
+// Returns a string which is the same for all dates in the same period.
+//
+function periodKey(date, unit)
+{
+    switch (unit)
+    {
+        case 'year':
+            return String(date.year);
+        case 'quarter':
+            return date.year + 'Q' + Math.floor(date.month / 3);
+        case 'month':
+            return date.year + '-' + date.month;
+        case 'week':
+            var week = isoWeek(date);
+            return week.year + 'W' + week.week;
+        default:
+            break;
+    }
+
+    var fields = [date.year, date.month, date.date, date.hour, date.minute, date.second];
+    return fields.slice(0, 6 - UNITS.indexOf(unit)).join('-');
+}
+
+//
+// ### function formatDateParts (parts, date)
+// #### @parts {Array} Parts as returned by `tokenizeDatePattern`.
+// #### @date {Object} Date parts as returned by `_getDateParts`.
+// Returns `date` formatted according to `parts`.
+//
+function formatDateParts(parts, date)
+{
+    return parts.map(function (part)
+    {
+        return part.token ? formatDateToken(part.token, date) : part.literal;
+    }).join('');
+}
+
+//
+// ### function datePartsRegExp (parts)
+// #### @parts {Array} Parts as returned by `tokenizeDatePattern`.
+// Returns the source of a regular expression matching dates formatted
+// according to `parts`, with a capturing group for every token.
+//
+function datePartsRegExp(parts)
+{
+    return parts.map(function (part)
+    {
+        return part.token ? '(' + DATE_TOKEN_PATTERNS[part.token] + ')' : escapeRegExp(part.literal);
+    }).join('');
+}
+
+//
+// ### function splitDatedDirname (dirname, [extended])
+// #### @dirname {String} Directory, possibly holding date tokens.
+// #### @extended {Boolean} **Optional** The `extendedDatePattern` option.
+// Splits `dirname` at its first segment made of date tokens and
+// punctuation only, such as `yyyy` or `MM-dd`. Returns the static `root`
+// in front of it and the date pattern `parts` of the rest, which end
+// with a `/` for the file name to follow.
+//
+function splitDatedDirname(dirname, extended)
+{
+    var segments = dirname.split(/[\\/]/);
+    var dated = segments.map(function (segment)
+    {
+        var parts = tokenizeDatePattern(segment, extended);
+        var isDated = parts.some(function (part)
+        {
+            return part.token;
+        }) && parts.every(function (part)
+        {
+            return part.token || !/[a-z]/i.test(part.literal);
+        });
+
+        return isDated ? parts : null;
+    });
+
+    var first = 0;
+    while (first < segments.length && !dated[first])
+    {
+        first++;
+    }
+
+    if (first === segments.length)
+    {
+        return {root: dirname, parts: []};
+    }
+
+    var parts = [];
+    for (var i = first; i < segments.length; i++)
+    {
+        parts = parts.concat(dated[i] || [{literal: segments[i]}], {literal: '/'});
+    }
+
+    return {
+        root: segments.slice(0, first).join('/') || '.',
+        parts: parts
+    };
+}
+
+//
+// ### function parseFilenameTemplate (template)
+// #### @template {String} File name holding `%DATE%` and optionally `%N`.
+// Splits `template` into the parts of a file name around the date and the
+// counter: `prefix`, date, `infix`, `separator`, counter and `suffix`. The
+// counter goes before the extension if `template` has no `%N`.
+//
+function parseFilenameTemplate(template)
+{
+    var date = template.indexOf('%DATE%');
+    var prefix = template.slice(0, date);
+    var rest = template.slice(date + '%DATE%'.length);
+    var counter = rest.indexOf('%N');
+
+    if (prefix.indexOf('%N') !== -1)
+    {
+        throw new Error('Cannot put %N before %DATE% in filename ' + template);
+    }
+
+    if (counter === -1)
+    {
+        var ext = path.extname(template);
+        var infix = ext && rest.slice(-ext.length) === ext ? rest.slice(0, -ext.length) : rest;
+        return {
+            prefix: prefix,
+            infix: infix,
+            separator: '.',
+            suffix: rest.slice(infix.length)
+        };
+    }
+
+    var middle = rest.slice(0, counter);
+    var separator = /[-_.]$/.test(middle) ? middle.slice(-1) : '';
+    return {
+        prefix: prefix,
+        infix: middle.slice(0, middle.length - separator.length),
+        separator: separator,
+        suffix: rest.slice(counter + '%N'.length)
+    };
+}
+
+//
+// ### function lockIsStale (lock)
+// #### @lock {Object} Contents of a lock file.
+// Returns a value indicating whether the process holding `lock` has
+// exited. A lock which is still being written is never stale.
+//
+function lockIsStale(lock)
+{
+    if (!lock.pid)
+    {
+        return false;
+    }
+
+    try
+    {
+        process.kill(lock.pid, 0);
+        return false;
+    } catch (err)
+    {
+        return err.code === 'ESRCH';
+    }
+}
+
+//
+// ### function normalizeQuery (options)
+// #### @options {Object} Query options as passed to `query`.
+// Fills in the defaults of a query the way the winston 2 `Transport`
+// does, for winston 3 whose transports have no `normalizeQuery`.
+//
+function normalizeQuery(options)
+{
+    options = options || {};
+    options.rows = options.rows || options.limit || 10;
+    options.start = options.start || 0;
+    options.until = options.until || new Date();
+    if (typeof options.until !== 'object')
+    {
+        options.until = new Date(options.until);
+    }
+
+    options.from = options.from || (options.until - (24 * 60 * 60 * 1000));
+    if (typeof options.from !== 'object')
+    {
+        options.from = new Date(options.from);
+    }
+
+    options.order = options.order || 'desc';
+    return options;
+}
+
+//
+// ### function DailyRotateFile (options)
+// #### @options {Object} Options for this instance.
+// Constructor function for the DailyRotateFile transport object responsible
+// for persisting log messages and metadata to one or more files.
+//
+var DailyRotateFile = module.exports = function (options)
+{
+    Transport.call(this, options);
+
+    //
+    // Helper function which throws an `Error` in the event
+    // that any of the rest of the arguments is present in `options`.
+    //
+    function throwIf(target /* , illegal... */)
+    {
+        Array.prototype.slice.call(arguments, 1).forEach(function (name)
+        {
+            if (options[name])
+            {
+                throw new Error('Cannot set ' + name + ' and ' + target + 'together');
+            }
+        });
+    }
+
+    if (options.filename || options.dirname)
+    {
+        throwIf('filename or dirname', 'stream');
+        this._basename = this.filename = options.filename ?
+            path.basename(options.filename) :
+            'winston.log';
+        this._template = this._basename.indexOf('%DATE%') !== -1;
+
+        this.dirname = options.dirname || path.dirname(options.filename);
+
+        //
+        // With `datedDirname`, date tokens in `dirname` make the directories
+        // part of the name of each file, under the static `dirname` in
+        // front of them.
+        //
+        var dir = options.datedDirname ?
+            splitDatedDirname(this.dirname, options.extendedDatePattern) :
+            {root: this.dirname, parts: []};
+        this.dirname = dir.root;
+        this._dirParts = dir.parts;
+        this.options = options.options || {flags: 'a'};
+
+        //
+        // "24 bytes" is maybe a good value for logging lines.
+        //
+        this.options.highWaterMark = this.options.highWaterMark || 24;
+    } else if (options.stream)
+    {
+        throwIf('stream', 'filename', 'maxsize');
+        this._stream = options.stream;
+        this._dirParts = [];
+        var self = this;
+        this._stream.on('error', function (error)
+        {
+            self.emit('error', error);
+        });
+
+        //
+        // We need to listen for drain events when
+        // write() returns false. This can make node
+        // mad at times.
+        //
+        this._stream.setMaxListeners(Infinity);
+    } else
+    {
+        throw new Error('Cannot log to file without filename or stream.');
+    }
+
+    this.json = options.json !== false;
+    this.colorize = options.colorize || false;
+    this.maxsize = options.maxsize || null;
+    this.maxFiles = options.maxFiles || null;
+    this.label = options.label || null;
+    this.prettyPrint = options.prettyPrint || false;
+    this.showLevel = options.showLevel === undefined ? true : options.showLevel;
+    this.timestamp = options.timestamp ? options.timestamp : true;
+    this.datePattern = options.datePattern ? options.datePattern : '.yyyy-MM-dd';
+    this.extendedDatePattern = options.extendedDatePattern || false;
+    this.depth = options.depth || null;
+    this.eol = options.eol || os.EOL;
+    this.maxRetries = options.maxRetries || 2;
+    this.prepend = options.prepend || false;
+    if (this.prepend && this.datePattern === '.yyyy-MM-dd')
+    {
+        this.datePattern = 'yyyy-MM-dd.';
+    }
+    this.counterWidth = options.counterWidth || 1;
+    this.omitFirstCounter = options.omitFirstCounter !== false;
+
+    if (this._template)
+    {
+        if (this.prepend)
+        {
+            throw new Error('Cannot set prepend and a filename template together');
+        }
+
+        if (!options.datePattern)
+        {
+            this.datePattern = 'yyyy-MM-dd';
+        }
+
+        this._nameParts = parseFilenameTemplate(this._basename);
+
+        //
+        // The name without date and counter, which other files such as
+        // the audit manifest are named after.
+        //
+        this._stem = this._nameParts.prefix.replace(/[-_.]$/, '') + this._nameParts.infix + this._nameParts.suffix;
+        this._stem = this._stem.replace(/^[-_.]/, '');
+    } else if (this._basename)
+    {
+        this._nameParts = this.prepend ?
+            {prefix: '', infix: this._basename, separator: '.', suffix: ''} :
+            {prefix: this._basename, infix: '', separator: '.', suffix: ''};
+        this._stem = this._basename;
+    }
+    this.zippedArchive = options.zippedArchive || false;
+    this.archiveFormat = options.archiveFormat || 'gzip';
+    this.archiveLevel = options.archiveLevel === undefined ? null : options.archiveLevel;
+
+    if (!ARCHIVE_EXTENSIONS.hasOwnProperty(this.archiveFormat))
+    {
+        throw new Error('Unknown archiveFormat ' + this.archiveFormat);
+    }
+
+    if (this.archiveFormat === 'brotli' && !zlib.createBrotliCompress)
+    {
+        throw new Error('brotli archives need a version of node with brotli support');
+    }
+    this.keyProvider = options.keyProvider || null;
+    this.hashChain = options.hashChain || false;
+    this.fileHeader = options.fileHeader || false;
+    this.fileFooter = options.fileFooter || false;
+    this.appVersion = options.appVersion || process.env.npm_package_version || null;
+
+    if (this.fileFooter && options.coordinate)
+    {
+        throw new Error('Cannot set fileFooter and coordinate together');
+    }
+
+    //
+    // The options headers describe the transport with, leaving
+    // out functions and streams.
+    //
+    this._headerOptions = {};
+    Object.keys(options).forEach(function (key)
+    {
+        var value = options[key];
+        if (typeof value !== 'function' && !(value && typeof value.pipe === 'function'))
+        {
+            this._headerOptions[key] = value;
+        }
+    }, this);
+
+    if (this.hashChain)
+    {
+        if (!this.json || this.prettyPrint)
+        {
+            throw new Error('hashChain needs json output with one message per line');
+        }
+
+        if (options.coordinate)
+        {
+            throw new Error('Cannot set hashChain and coordinate together');
+        }
+    }
+
+    //
+    // Files are archived once closed to compress them,
+    // encrypt them, or both.
+    //
+    this._archiving = this.zippedArchive || Boolean(this.keyProvider);
+    this.olderThan = options.olderThan || null;
+    this.retentionBy = options.retentionBy || 'filename';
+
+    if (['filename', 'mtime'].indexOf(this.retentionBy) === -1)
+    {
+        throw new Error('Unknown retentionBy ' + this.retentionBy);
+    }
+    this.maxTotalSize = options.maxTotalSize ? parseSize(options.maxTotalSize) : null;
+    this.durability = options.durability || 'none';
+    this.fsyncInterval = options.fsyncInterval || 1000;
+
+    if (['none', 'sync', 'interval'].indexOf(this.durability) === -1)
+    {
+        throw new Error('Unknown durability ' + this.durability);
+    }
+
+    this.maxBufferedMessages = options.maxBufferedMessages || null;
+    this.maxBufferedBytes = options.maxBufferedBytes ? parseSize(options.maxBufferedBytes) : null;
+    this.bufferOverflow = options.bufferOverflow || 'drop-oldest';
+    this.spillFile = options.spillFile || null;
+
+    if (['drop-oldest', 'drop-newest', 'block', 'spill'].indexOf(this.bufferOverflow) === -1)
+    {
+        throw new Error('Unknown bufferOverflow ' + this.bufferOverflow);
+    }
+
+    if (this.bufferOverflow === 'spill' && !this.spillFile)
+    {
+        throw new Error('Cannot spill buffered messages without spillFile');
+    }
+
+    this.recover = options.recover !== false;
+    this.recoveryDelay = options.recoveryDelay || 1000;
+    this.maxRecoveryDelay = options.maxRecoveryDelay || 60000;
+    this.onRotate = options.onRotate || null;
+    this.onRotateConcurrency = options.onRotateConcurrency || 1;
+    this.onRotateError = options.onRotateError || 'emit';
+    this.createSymlink = options.createSymlink || false;
+    this.symlinkName = options.symlinkName || null;
+
+    if (this.createSymlink && !this.symlinkName)
+    {
+        var ext = path.extname(this._stem);
+        this.symlinkName = path.basename(this._stem, ext) + '.current' + ext;
+    }
+    this.coordinate = options.coordinate || false;
+    this.lockInterval = options.lockInterval || 1000;
+
+    if (this.coordinate)
+    {
+        if (!this.dirname)
+        {
+            throw new Error('Cannot coordinate processes without filename or dirname');
+        }
+
+        //
+        // Lines of all processes are appended to the same file, which only
+        // stays free of interleaved partial lines in append mode.
+        //
+        if (this.options.flags !== 'a')
+        {
+            throw new Error('Cannot coordinate processes unless files are opened with the \'a\' flag');
+        }
+
+        this.lockFile = options.lockFile || path.join(this.dirname, '.' + this._stem + '.lock');
+    }
+    this.auditFile = options.auditFile === true ?
+        path.join(this.dirname, '.' + this._stem + '-audit.json') :
+        options.auditFile || null;
+    this.frequency = typeof options.frequency === 'string' ? ms(options.frequency) : options.frequency || null;
+    this.frequencyAlign = options.frequencyAlign || 'midnight';
+
+    if (this.frequency !== null && !(this.frequency >= 1000))
+    {
+        throw new Error('Invalid frequency ' + options.frequency);
+    }
+
+    if (['midnight', 'epoch'].indexOf(this.frequencyAlign) === -1)
+    {
+        throw new Error('Unknown frequencyAlign ' + this.frequencyAlign);
+    }
+    this.utc = options.utc || false;
+    this.timezone = options.timezone || null;
+
+    if (this.utc && this.timezone)
+    {
+        throw new Error('Cannot set utc and timezone together');
+    }
+
+    if (this.timezone)
+    {
+        //
+        // Throws a `RangeError` right away if `timezone` is not
+        // a valid IANA zone name.
+        //
+        this._dateTimeFormat = new Intl.DateTimeFormat('en-US', {
+            timeZone: this.timezone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        });
+    }
+
+    if (this.json)
+    {
+        this.stringify = options.stringify;
+    }
+
+    //
+    // Internal state variables representing the number
+    // of files this instance has created and the current
+    // size (in bytes) of the current logfile.
+    //
+    this._firstRun = true;
+    this._pendingRecovery = false;
+    this._size = 0;
+    this._created = 0;
+    this._buffer = [];
+    this._bufferedBytes = 0;
+    this._dropped = 0;
+    this._recovering = false;
+    this._recoveryAttempts = 0;
+    this._recoveryTimer = null;
+    this._draining = false;
+    this._failures = 0;
+    this._failed = false;
+    this._erroredStream = null;
+    this._probing = false;
+    this._closing = {};
+    this._primary = false;
+    this._lockId = crypto.randomBytes(8).toString('hex');
+    this._publishing = false;
+    this._published = null;
+    this._chainHash = CHAIN_GENESIS;
+    this._chainFile = null;
+    this._jobs = 0;
+    this._idle = [];
+    this._fileLines = 0;
+    this._fileBytes = 0;
+    this._fileRecords = 0;
+    this._previousFile = null;
+    this._knownFiles = [];
+    this._closePromise = null;
+    this._signalHandlers = null;
+
+    this._setFileDate(new Date());
+
+    if (this.durability === 'interval')
+    {
+        this._fsyncTimer = setInterval(this._fsync.bind(this), this.fsyncInterval);
+        if (this._fsyncTimer.unref)
+        {
+            this._fsyncTimer.unref();
+        }
+    }
+
+    if (options.handleSignals)
+    {
+        this._addSignalHandlers();
+    }
+
+    if (this.coordinate)
+    {
+        this._lockTimer = setInterval(this._checkLock.bind(this), this.lockInterval);
+        if (this._lockTimer.unref)
+        {
+            this._lockTimer.unref();
+        }
+    }
+};
+
+//
+// Inherit from `winston.Transport`.
+//
+util.inherits(DailyRotateFile, Transport);
+
+/**
+ * Define a getter so that `winston.transports.DailyRotateFile`
+ * is available and thus backwards compatible.
+ */
+winston.transports.DailyRotateFile = DailyRotateFile;
+
+//
+// Expose the name of this Transport on the prototype
+//
+DailyRotateFile.prototype.name = 'dailyRotateFile';
+
+//
+// ### function getFormattedDate ()
+// Returns the `datePattern` rendered for the period of the current file.
+//
+DailyRotateFile.prototype.getFormattedDate = function ()
+{
+    return formatDateParts(this._getDatePatternParts(), this._fileDate);
+};
+
+//
+// ### function log (level, msg, [meta], callback)
+// #### @level {string} Level at which to log the message.
+// #### @msg {string} Message to log
+// #### @meta {Object} **Optional** Additional metadata to attach
+// #### @callback {function} Continuation to respond to when complete.
+// Core logging method exposed to Winston. Metadata is optional.
+//
+DailyRotateFile.prototype.log = function (level, msg, meta, callback)
+{
+    this._logOutput(common.log({
+        level: level,
+        message: msg,
+        meta: meta,
+        json: this.json,
+        colorize: this.colorize,
+        prettyPrint: this.prettyPrint,
+        timestamp: this.timestamp,
+        label: this.label,
+        stringify: this.stringify,
+        showLevel: this.showLevel,
+        depth: this.depth,
+        formatter: this.formatter,
+        humanReadableUnhandledException: this.humanReadableUnhandledException
+    }) + this.eol, callback);
+};
+
+if (WINSTON3)
+{
+    //
+    // ### function log (info, callback)
+    // #### @info {Object} The message, formatted into `info[MESSAGE]`.
+    // #### @callback {function} Callback of the writable stream.
+    // Core logging method exposed to winston 3, which only writes to a
+    // transport itself if `log` takes these two arguments. Errors have
+    // already been emitted by the time `callback` is called, and passing
+    // them on would end the stream, so it only emits `logged` for the
+    // messages written.
+    //
+    DailyRotateFile.prototype.log = function (info, callback)
+    {
+        var self = this;
+        this._logOutput(info[MESSAGE] + this.eol, function (err)
+        {
+            if (!err)
+            {
+                self.emit('logged', info);
+            }
+
+            if (callback)
+            {
+                callback();
+            }
+        });
+    };
+}
+
+//
+// ### @private function _logOutput (output, callback)
+// #### @output {String} The formatted message.
+// #### @callback {function} Continuation to respond to when complete.
+// Writes a formatted message to the current file, or buffers it until
+// there is one to write to.
+//
+DailyRotateFile.prototype._logOutput = function (output, callback)
+{
+    var self = this;
+
+    if (this.silent)
+    {
+        return callback(null, true);
+    }
+
+    //
+    // If failures exceeds maxRetries then we can't access the
+    // stream. In this case we need to perform a noop and return
+    // an error, unless we are trying to recover, in which case
+    // the message is buffered below.
+    //
+    if (this._failed && !this._recovering)
+    {
+        return callback(new Error('Transport is in a failed state.'));
+    }
+
+    this._size += output.length;
+
+    if (this._recovering)
+    {
+        this._enqueue(output, callback);
+
+        //
+        // A file reopened while recovering is only trusted once a write
+        // to it succeeds, so the first message logged to it is written
+        // straight away to find out.
+        //
+        if (this._probing)
+        {
+            this._probing = false;
+            this.flush();
+        }
+        return;
+    }
+
+    if (this.filename)
+    {
+        this.open(function (err)
+        {
+            if (err)
+            {
+                //
+                // If there was an error enqueue the message
+                //
+                return self._enqueue(output, callback);
+            }
+
+            self._writeOutput(output, callback);
+            self._lazyDrain();
+        });
+    } else
+    {
+        //
+        // If there is no `filename` on this instance then it was configured
+        // with a raw `WriteableStream` instance and we should not perform any
+        // size restrictions.
+        //
+        this._writeOutput(output, callback);
+        this._lazyDrain();
+    }
+};
+
+//
+// ### @private function _writeOutput (data, cb)
+// #### @data {String|Buffer} Data to write to the instance's stream.
+// #### @cb {function} Continuation to respond to when complete.
+// Write to the stream, ensure execution of a callback on completion.
+// Not named `_write`, which winston 3 transports inherit from `Writable`.
+//
+DailyRotateFile.prototype._writeOutput = function (data, callback)
+{
+    var self = this;
+
+    if (this.hashChain)
+    {
+        data = this._chainLine(data);
+    }
+
+    this._fileLines++;
+    this._fileBytes += Buffer.byteLength(data);
+
+    //
+    // With `durability` set the callback waits for the write itself,
+    // which also lets it report write errors, and in `sync` mode for
+    // the data to be flushed to disk as well.
+    //
+    var stream = this._stream;
+    if (this.durability !== 'none')
+    {
+        return stream.write(data, function (err)
+        {
+            if (!err)
+            {
+                self._written(stream);
+            }
+
+            if (err || self.durability !== 'sync' || typeof stream.fd !== 'number')
+            {
+                return callback && callback(err || null, !err);
+            }
+
+            fs.fsync(stream.fd, function (err)
+            {
+                if (callback)
+                {
+                    callback(err || null, !err);
+                }
+            });
+        });
+    }
+
+    // If this is a file write stream, we could use the builtin
+    // callback functionality, however, the stream is not guaranteed
+    // to be an fs.WriteStream. Without `durability` the callback does
+    // not wait for the write, so errors only reach the `error` event.
+    var ret = stream.write(data, function (err)
+    {
+        if (!err)
+        {
+            self._written(stream);
+        }
+    });
+    if (!callback)
+    {
+        return;
+    }
+
+    if (ret === false)
+    {
+        return stream.once('drain', function ()
+        {
+            callback(null, true);
+        });
+    }
+    callback(null, true);
+};
+
+//
+// ### @private function _written (stream)
+// #### @stream {Stream} Stream a write has succeeded on.
+// Earlier errors are forgotten once a write to the current file
+// succeeds. If that takes us out of the failed state, whatever was
+// buffered meanwhile can be written.
+//
+DailyRotateFile.prototype._written = function (stream)
+{
+    if (stream !== this._stream || stream === this._erroredStream || this._recoveryTimer)
+    {
+        return;
+    }
+
+    this._failures = 0;
+    this._failed = false;
+    if (this._recovering)
+    {
+        this._recovering = false;
+        this._probing = false;
+        this._recoveryAttempts = 0;
+        this.emit('recovered', path.join(this.dirname, this.filename));
+        this.flush();
+    }
+};
+
+//
+// ### @private function _scheduleRecovery (error)
+// #### @error {Error} The error that made the last attempt fail.
+// Schedules another attempt to open a file once the transport has used
+// up `maxRetries`. Attempts back off exponentially from `recoveryDelay`
+// up to `maxRecoveryDelay`, with random jitter so that many processes
+// sharing a broken disk do not retry in lockstep. Messages logged in the
+// meantime are buffered.
+//
+DailyRotateFile.prototype._scheduleRecovery = function (error)
+{
+    var self = this;
+    if (this._recoveryTimer)
+    {
+        return;
+    }
+
+    this._recovering = true;
+    this._recoveryAttempts++;
+
+    var delay = Math.min(this.maxRecoveryDelay, this.recoveryDelay * Math.pow(2, this._recoveryAttempts - 1));
+    delay = Math.round(delay / 2 + Math.random() * delay / 2);
+
+    this._recoveryTimer = setTimeout(function ()
+    {
+        self._recoveryTimer = null;
+        self._createStream();
+    }, delay);
+
+    if (this._recoveryTimer.unref)
+    {
+        this._recoveryTimer.unref();
+    }
+
+    // Set up first, so that closing the transport from a listener cancels it.
+    this.emit('recovering', this._recoveryAttempts, delay, error);
+};
+
+//
+// ### @private function _enqueue (output, callback)
+// #### @output {String} Formatted message.
+// #### @callback {function} Continuation of the message.
+// Buffers a message until a file is ready to take it. Once the buffer
+// holds `maxBufferedMessages` messages or `maxBufferedBytes` bytes,
+// `bufferOverflow` decides what happens: `drop-oldest` and `drop-newest`
+// drop messages, `spill` appends the message to `spillFile` instead, and
+// `block` keeps it, so its callback waits until it has been written.
+//
+DailyRotateFile.prototype._enqueue = function (output, callback)
+{
+    var size = Buffer.byteLength(output);
+
+    if (this._bufferFull(size))
+    {
+        switch (this.bufferOverflow)
+        {
+            case 'drop-newest':
+                return this._drop([[output, callback]]);
+            case 'spill':
+                return this._spill(output, callback);
+            case 'drop-oldest':
+                var dropped = [];
+                while (this._buffer.length && this._bufferFull(size))
+                {
+                    var item = this._buffer.shift();
+                    this._bufferedBytes -= Buffer.byteLength(item[0]);
+                    dropped.push(item);
+                }
+
+                if (this._bufferFull(size))
+                {
+                    dropped.push([output, callback]);
+                    return this._drop(dropped);
+                }
+
+                this._drop(dropped);
+                break;
+            default:
+                break;
+        }
+    }
+
+    this._buffer.push([output, callback]);
+    this._bufferedBytes += size;
+};
+
+//
+// ### @private function _bufferFull (size)
+// #### @size {Number} Size in bytes of the message about to be buffered.
+// Returns true if buffering one more message of `size` bytes would
+// exceed `maxBufferedMessages` or `maxBufferedBytes`.
+//
+DailyRotateFile.prototype._bufferFull = function (size)
+{
+    return Boolean((this.maxBufferedMessages && this._buffer.length + 1 > this.maxBufferedMessages) ||
+        (this.maxBufferedBytes && this._bufferedBytes + size > this.maxBufferedBytes));
+};
+
+//
+// ### @private function _drop (items)
+// #### @items {Array} Buffered `[output, callback]` pairs to give up on.
+// Responds to the callbacks of dropped messages with `logged` set to
+// false, and emits `dropped` with their number and the number of
+// messages dropped since the transport was created.
+//
+DailyRotateFile.prototype._drop = function (items)
+{
+    if (!items.length)
+    {
+        return;
+    }
+
+    this._dropped += items.length;
+    items.forEach(function (item)
+    {
+        if (item[1])
+        {
+            item[1](null, false);
+        }
+    });
+    this.emit('dropped', items.length, this._dropped);
+};
+
+//
+// ### @private function _spill (output, callback)
+// #### @output {String} Formatted message.
+// #### @callback {function} Continuation of the message.
+// Appends a message that does not fit in the buffer to `spillFile`.
+//
+DailyRotateFile.prototype._spill = function (output, callback)
+{
+    fs.appendFile(this.spillFile, output, function (err)
+    {
+        if (callback)
+        {
+            callback(err || null, !err);
+        }
+    });
+};
+
+//
+// ### @private function _fsync ()
+// Flushes what has been written to the current file to disk. Used by
+// the `interval` durability mode.
+//
+DailyRotateFile.prototype._fsync = function ()
+{
+    var self = this;
+    if (this._stream && typeof this._stream.fd === 'number')
+    {
+        fs.fsync(this._stream.fd, function (err)
+        {
+            if (err && err.code !== 'EBADF')
+            {
+                self.emit('error', err);
+            }
+        });
+    }
+};
+
+//
+// ### function query (options, callback)
+// #### @options {Object} Loggly-like query options for this instance.
+// #### @callback {function} Continuation to respond to when complete.
+// Query the transport. Options object is optional. Every file written by
+// this transport, including size rotated and archived ones, is searched
+// unless its name shows that it is outside of `from` and `until`. Results
+// are merged in timestamp order before `start`, `rows`, `order` and `fields`
+// are applied.
+//
+DailyRotateFile.prototype.query = function (options, callback)
+{
+    if (typeof options === 'function')
+    {
+        callback = options;
+        options = {};
+    }
+
+    var self = this;
+    options = this.normalizeQuery ? this.normalizeQuery(options) : normalizeQuery(options);
+    callback = callback || function () {};
+
+    this._listFiles(function (err, files)
+    {
+        if (err)
+        {
+            return err.code === 'ENOENT' ? callback(null, []) : callback(err);
+        }
+
+        files = files.filter(function (file)
+        {
+            return !file.start || (file.end > options.from && file.start <= options.until);
+        });
+
+        var matches = [];
+        async.eachSeries(files, function (file, next)
+        {
+            self._readLogFile(file.name, function (line)
+            {
+                var log;
+                try
+                {
+                    log = JSON.parse(line);
+                } catch (e)
+                {
+                    return;
+                }
+
+                if (check(log))
+                {
+                    matches.push({
+                        time: new Date(log.timestamp).getTime() || 0,
+                        seq: matches.length,
+                        log: log
+                    });
+                }
+            }, function (err)
+            {
+                //
+                // One damaged file, such as a truncated archive, should not
+                // hide the entries of all others. What was read of it is kept.
+                //
+                if (err && err.code !== 'ENOENT')
+                {
+                    self.emit('unreadable', file.name, err);
+                }
+                next();
+            });
+        }, function ()
+        {
+            matches.sort(function (a, b)
+            {
+                return a.time - b.time || a.seq - b.seq;
+            });
+
+            var results = matches.map(function (match)
+            {
+                return match.log;
+            });
+
+            if (options.order === 'desc')
+            {
+                results = results.reverse();
+            }
+
+            results = results.slice(options.start || 0);
+            if (options.rows)
+            {
+                results = results.slice(0, options.rows);
+            }
+
+            if (options.fields)
+            {
+                results = results.map(function (log)
+                {
+                    var obj = {};
+                    options.fields.forEach(function (key)
+                    {
+                        obj[key] = log[key];
+                    });
+                    return obj;
+                });
+            }
+
+            callback(null, results);
+        });
+    });
+
+    function check(log)
+    {
+        if (!log)
+        {
+            return;
+        }
+
+        if (typeof log !== 'object' || log[RECORD_FIELD])
+        {
+            return;
+        }
+
+        var time = new Date(log.timestamp);
+        if ((options.from && time < options.from) ||
+            (options.until && time > options.until))
+        {
+            return;
+        }
+
+        return true;
+    }
+};
+
+//
+// ### function stream (options)
+// #### @options {Object} Stream options for this instance.
+// Returns a log stream for this transport. Options object is optional.
+// The stream follows the transport from file to file: once the file it
+// reads has been closed and read to the end, it moves on to the file the
+// transport opened next and emits `rotate` with the old and new paths.
+// `options.filename` starts it from another file than the current one.
+//
+DailyRotateFile.prototype.stream = function (options)
+{
+    var self = this;
+    options = options || {};
+    var stream = new Stream();
+    var buffer = Buffer.alloc(64 * 1024);
+    var interval = options.interval || 1000;
+    var start = options.start === -1 ? null : options.start;
+    var files = [options.filename ||
+        path.join(this.dirname, this._stream ? this.filename : this._getFile())];
+    var decoder = new StringDecoder('utf8');
+    var fd = null;
+    var pos = 0;
+    var row = 0;
+    var buff = '';
+    var busy = false;
+    var timer = null;
+
+    function onOpen(fullname)
+    {
+        if (fullname === files[files.length - 1])
+        {
+            return;
+        }
+
+        files.push(fullname);
+        if (timer)
+        {
+            clearTimeout(timer);
+            read();
+        }
+    }
+
+    function emitLine(line)
+    {
+        if (isRecord(line))
+        {
+            return;
+        }
+
+        if (start === undefined || start === null || row > start)
+        {
+            try
+            {
+                stream.emit('data', line);
+                line = JSON.parse(line);
+                stream.emit('log', line);
+            } catch (e)
+            {
+                stream.emit('error', e);
+            }
+        }
+        row++;
+    }
+
+    function push(data)
+    {
+        var lines = (buff + data).split(/\n+/);
+        buff = lines.pop();
+        lines.forEach(emitLine);
+    }
+
+    function fail(err)
+    {
+        busy = false;
+        stream.emit('error', err);
+        stream.destroy();
+    }
+
+    //
+    // The dated directory of a file may not exist until the transport
+    // first opens it, so it is created here like there.
+    //
+    function withDirectory(callback)
+    {
+        if (!self._dirParts.length)
+        {
+            return callback();
+        }
+
+        fs.mkdir(path.dirname(files[0]), {recursive: true}, function ()
+        {
+            callback();
+        });
+    }
+
+    function read()
+    {
+        timer = null;
+        if (stream.destroyed)
+        {
+            if (fd !== null)
+            {
+                fs.close(fd, function () {});
+                fd = null;
+            }
+            return;
+        }
+
+        busy = true;
+        if (fd === null)
+        {
+            return withDirectory(function ()
+            {
+                fs.open(files[0], 'a+', '0644', function (err, result)
+                {
+                    if (err)
+                    {
+                        return fail(err);
+                    }
+
+                    fd = result;
+                    read();
+                });
+            });
+        }
+
+        fs.read(fd, buffer, 0, buffer.length, pos, function (err, bytes)
+        {
+            if (err)
+            {
+                return fail(err);
+            }
+
+            if (bytes)
+            {
+                pos += bytes;
+                push(decoder.write(buffer.slice(0, bytes)));
+                return read();
+            }
+
+            //
+            // Only move on once the transport has closed the old file,
+            // so that nothing written to it is left behind.
+            //
+            if (files.length > 1 && !self._closing[files[0]])
+            {
+                push(decoder.end());
+                if (buff)
+                {
+                    emitLine(buff);
+                    buff = '';
+                }
+
+                fs.close(fd, function () {});
+                fd = null;
+                pos = 0;
+                decoder = new StringDecoder('utf8');
+                stream.emit('rotate', files.shift(), files[0]);
+                return read();
+            }
+
+            busy = false;
+            timer = setTimeout(read, interval);
+        });
+    }
+
+    stream.readable = true;
+    stream.destroy = function ()
+    {
+        if (stream.destroyed)
+        {
+            return;
+        }
+
+        stream.destroyed = true;
+        self.removeListener('open', onOpen);
+        if (timer)
+        {
+            clearTimeout(timer);
+            timer = null;
+        }
+        if (!busy)
+        {
+            read();
+        }
+        stream.emit('end');
+        stream.emit('close');
+    };
+
+    this.on('open', onOpen);
+    read();
+
+    return stream;
+};
+
+//
+// ### function open (callback)
+// #### @callback {function} Continuation to respond to when complete
+// Checks to see if a new file needs to be created based on the `maxsize`
+// (if any) and the current size of the file used.
+//
+DailyRotateFile.prototype.open = function (callback)
+{
+    var now = new Date();
+    if (this.opening)
+    {
+        //
+        // If we are already attempting to open the next
+        // available file then respond with a value indicating
+        // that the message should be buffered.
+        //
+        return callback(true);
+    } else if (!this._stream || (this.maxsize && this._size >= this.maxsize && this._isPrimary()) ||
+        this._filenameHasExpired())
+    {
+        //
+        // If we dont have a stream or have exceeded our size, then create
+        // the next stream and respond with a value indicating that
+        // the message should be buffered.
+        //
+        callback(true);
+        return this._createStream();
+    }
+
+    //
+    // Otherwise we have a valid (and ready) stream.
+    //
+    callback();
+};
+
+//
+// ### function close ([callback])
+// #### @callback {function} **Optional** Continuation to respond to when complete.
+// Closes the stream associated with this instance. Returns a promise which,
+// like `callback`, waits until the messages buffered meanwhile have been
+// written, the file has been closed and the rotations, archives and
+// retention jobs still running have finished.
+//
+DailyRotateFile.prototype.close = function (callback)
+{
+    var self = this;
+
+    if (!this._closePromise)
+    {
+        this._closePromise = new Promise(function (resolve)
+        {
+            self._shutdown(function ()
+            {
+                self.emit('closed');
+                resolve();
+            });
+        });
+    }
+
+    if (callback)
+    {
+        this._closePromise.then(function ()
+        {
+            callback();
+        });
+    }
+
+    return this._closePromise;
+};
+
+//
+// ### @private function _shutdown (callback)
+// #### @callback {function} Continuation to respond to when complete.
+// Does the work of `close`.
+//
+DailyRotateFile.prototype._shutdown = function (callback)
+{
+    var self = this;
+
+    if (this._fsyncTimer)
+    {
+        clearInterval(this._fsyncTimer);
+        this._fsyncTimer = null;
+    }
+
+    if (this._recoveryTimer)
+    {
+        clearTimeout(this._recoveryTimer);
+        this._recoveryTimer = null;
+    }
+
+    if (this._lockTimer)
+    {
+        clearInterval(this._lockTimer);
+        this._lockTimer = null;
+    }
+
+    this._removeSignalHandlers();
+
+    function end()
+    {
+        var stream = self._stream;
+        var primary = self._isPrimary();
+        if (self._primary)
+        {
+            self._releaseLock();
+        }
+
+        if (!stream || stream.destroyed)
+        {
+            return self._whenIdle(callback);
+        }
+
+        //
+        // Streams other than a file belong to whoever passed them in,
+        // and are left open.
+        //
+        if (!self.filename)
+        {
+            return process.nextTick(function ()
+            {
+                self._whenIdle(callback);
+            });
+        }
+
+        var fullname = path.join(self.dirname, self.filename);
+        stream.once('close', function ()
+        {
+            if (!primary)
+            {
+                return self._whenIdle(callback);
+            }
+
+            self._auditClosedFile(fullname, null, function ()
+            {
+                self._whenIdle(callback);
+            });
+        });
+
+        if (self.fileFooter)
+        {
+            self._writeFooter('close');
+        }
+        stream.end();
+        stream.destroySoon();
+    }
+
+    //
+    // A file still being opened is flushed the buffered messages once
+    // it is open, unless opening it fails. In the failed state nothing
+    // can be written any more.
+    //
+    if (this.opening && !this._recovering)
+    {
+        var opened = function ()
+        {
+            self.removeListener('open', opened);
+            self.removeListener('error', opened);
+            process.nextTick(end);
+        };
+
+        this.on('open', opened);
+        this.on('error', opened);
+        return;
+    }
+
+    // Writes of a flush are started on the next tick.
+    process.nextTick(end);
+};
+
+//
+// ### @private function _job ()
+// Counts a rotation, archive or retention job as running until the
+// returned function is called, for `close` to wait for.
+//
+DailyRotateFile.prototype._job = function ()
+{
+    var self = this;
+    var done = false;
+    this._jobs++;
+
+    return function ()
+    {
+        if (done)
+        {
+            return;
+        }
+
+        done = true;
+        if (--self._jobs === 0)
+        {
+            self._idle.splice(0).forEach(function (callback)
+            {
+                callback();
+            });
+        }
+    };
+};
+
+//
+// ### @private function _whenIdle (callback)
+// #### @callback {function} Continuation to respond to when complete.
+// Calls `callback` once no job counted by `_job` is running.
+//
+DailyRotateFile.prototype._whenIdle = function (callback)
+{
+    if (!this._jobs)
+    {
+        return callback();
+    }
+
+    this._idle.push(callback);
+};
+
+//
+// ### @private function _addSignalHandlers ()
+// With `handleSignals` set, closes the transport on SIGTERM and SIGINT
+// and then raises the signal again, so the process exits as it would
+// have, unless something else is listening for it.
+//
+DailyRotateFile.prototype._addSignalHandlers = function ()
+{
+    var self = this;
+    this._signalHandlers = {};
+
+    ['SIGTERM', 'SIGINT'].forEach(function (signal)
+    {
+        self._signalHandlers[signal] = function ()
+        {
+            self.close(function ()
+            {
+                if (!process.listenerCount(signal))
+                {
+                    process.kill(process.pid, signal);
+                }
+            });
+        };
+
+        process.on(signal, self._signalHandlers[signal]);
+    });
+};
+
+//
+// ### @private function _removeSignalHandlers ()
+// Undoes `_addSignalHandlers` once the transport is closing, so that
+// another signal meanwhile ends the process right away.
+//
+DailyRotateFile.prototype._removeSignalHandlers = function ()
+{
+    var handlers = this._signalHandlers;
+    this._signalHandlers = null;
+
+    Object.keys(handlers || {}).forEach(function (signal)
+    {
+        process.removeListener(signal, handlers[signal]);
+    });
+};
+
+//
+// ### function flush ()
+// Flushes any buffered messages to the current `stream`
+// used by this instance.
+//
+DailyRotateFile.prototype.flush = function ()
+{
+    var self = this;
+
+    //
+    // With nothing to write there will be no `drain` event,
+    // so we are done once the file has been opened.
+    //
+    if (!this._buffer.length)
+    {
+        if (this._stream.pending)
+        {
+            return this._stream.once('open', function ()
+            {
+                self.emit('flush');
+            });
+        }
+
+        return process.nextTick(function ()
+        {
+            self.emit('flush');
+        });
+    }
+
+    //
+    // Iterate over the `_buffer` of enqueued messaged
+    // and then write them to the newly created stream.
+    //
+    var stream = this._stream;
+    this._buffer.forEach(function (item)
+    {
+        var str = item[0];
+        var callback = item[1];
+
+        process.nextTick(function ()
+        {
+            self._writeOutput(str, callback);
+            self._size += str.length;
+        });
+    });
+
+    //
+    // Quickly truncate the `_buffer` once the write operations
+    // have been started
+    //
+    self._buffer.length = 0;
+    self._bufferedBytes = 0;
+
+    //
+    // When the stream has drained we have flushed
+    // our buffer.
+    //
+    stream.once('drain', flushed);
+
+    //
+    // Short messages may fit in the stream without it ever
+    // draining, in which case we are done once it is open.
+    //
+    process.nextTick(function ()
+    {
+        if (stream.writableNeedDrain)
+        {
+            return;
+        }
+
+        stream.removeListener('drain', flushed);
+        if (stream.pending)
+        {
+            return stream.once('open', flushed);
+        }
+
+        flushed();
+    });
+
+    function flushed()
+    {
+        self.emit('flush');
+        if (!WINSTON3)
+        {
+            self.emit('logged');
+        }
+    }
+};
+
+//
+// ### @private function _createStream ()
+// Attempts to open the next appropriate file for this instance
+// based on the common state (such as `maxsize` and `_basename`).
+//
+DailyRotateFile.prototype._createStream = function ()
+{
+    var self = this;
+    var reason = null;
+    this.opening = true;
+
+    (function checkFile(target)
+    {
+        var fullname = path.join(self.dirname, target);
+
+        //
+        // Creates the `WriteStream` and then flushes any
+        // buffered messages.
+        //
+        function createAndFlush(size, isNew)
+        {
+            var previous = null;
+            if (self._stream)
+            {
+                var info = {
+                    filename: path.join(self.dirname, self.filename),
+                    next: fullname,
+                    reason: reason
+                };
+
+                previous = info.filename;
+                self._closing[previous] = true;
+                var handedOn = self._job();
+                var handled = false;
+                var closed = function ()
+                {
+                    if (handled)
+                    {
+                        return;
+                    }
+
+                    handled = true;
+                    delete self._closing[previous];
+                    info.closed = new Date();
+                    if (!self._isPrimary())
+                    {
+                        return handedOn();
+                    }
+
+                    var handOn = function ()
+                    {
+                        self._auditClosedFile(previous, null, function ()
+                        {
+                            if (previous === fullname)
+                            {
+                                return handedOn();
+                            }
+
+                            self._runOnRotate(info, function ()
+                            {
+                                if (self._archiving)
+                                {
+                                    self._queueArchive(previous);
+                                }
+                                handedOn();
+                            });
+                        });
+                    };
+
+                    if (!self.coordinate)
+                    {
+                        return handOn();
+                    }
+
+                    //
+                    // Other processes may write to the file until they
+                    // notice the rotation, which takes them up to one
+                    // `lockInterval`, so it is only handed on once it
+                    // has stopped growing.
+                    //
+                    if (previous === fullname)
+                    {
+                        return setTimeout(handOn, 2 * self.lockInterval);
+                    }
+                    self._whenQuiet(previous, handOn);
+                };
+
+                //
+                // A stream that failed may have been closed already.
+                //
+                self._stream.once('close', closed);
+                if (self._stream.destroyed)
+                {
+                    process.nextTick(closed);
+                }
+
+                if (self.fileFooter && previous !== fullname && reason)
+                {
+                    self._writeFooter(reason);
+                }
+                self._stream.end();
+                self._stream.destroySoon();
+                self._previousFile = self.filename;
+            } else
+            {
+                //
+                // The file written before this one, by an earlier run.
+                //
+                self._previousFile = self._knownFiles.filter(function (name)
+                {
+                    return name !== target;
+                }).pop() || null;
+            }
+
+            self._size = size;
+            self.filename = target;
+            self._fileLines = self._fileRecords = 0;
+            self._fileBytes = size;
+            self._stream = fs.createWriteStream(fullname, self.options);
+            var stream = self._stream;
+            if (self._isPrimary())
+            {
+                if (self.fileHeader && !size)
+                {
+                    self._writeHeader();
+                }
+                self._auditCreatedFile(fullname);
+                if (self.createSymlink)
+                {
+                    self._updateSymlink(fullname);
+                }
+            }
+            if (self.coordinate && self._primary)
+            {
+                self._publishFile(target);
+            }
+            if (isNew)
+            {
+                self.emit('new', fullname);
+            }
+            if (previous && previous !== fullname && reason)
+            {
+                self.emit('rotate', previous, fullname, reason);
+            }
+            self._stream.on('error', function (error)
+            {
+                //
+                // Writes to it which were already under way no longer
+                // tell whether the file works.
+                //
+                self._erroredStream = stream;
+                if (self._failures < self.maxRetries)
+                {
+                    self._createStream();
+                    self._failures++;
+                } else
+                {
+                    //
+                    // Only report the error once, when we enter
+                    // the failed state, not for every attempt
+                    // made to recover from it.
+                    //
+                    var failed = !self._recovering;
+                    self._failed = true;
+                    self._probing = false;
+                    self._recovering = self.recover;
+                    if (failed)
+                    {
+                        self.emit('error', error);
+                    }
+
+                    if (self.recover)
+                    {
+                        self._scheduleRecovery(error);
+                    }
+                }
+            });
+
+            //
+            // Opening a file is not enough to leave the failed state, as
+            // writing to it may fail all the same. The messages buffered
+            // meanwhile, or else the next one logged, are written to it
+            // to find out, and `_written` takes it from there.
+            //
+            stream.once('open', function ()
+            {
+                if (stream !== self._stream || !self._recovering)
+                {
+                    return;
+                }
+
+                self._probing = !self._buffer.length;
+                self.flush();
+            });
+
+            //
+            // Only once the file to write to is settled, past the ones
+            // already full, and open is it safe to touch the others.
+            //
+            if (self._pendingRecovery)
+            {
+                self._pendingRecovery = false;
+                stream.once('open', function ()
+                {
+                    self._recoverArchives(target);
+                });
+            }
+
+            //
+            // We need to listen for drain events when
+            // write() returns false. This can make node
+            // mad at times.
+            //
+            self._stream.setMaxListeners(Infinity);
+
+            //
+            // When the current stream has finished flushing
+            // then we can be sure we have finished opening
+            // and thus can emit the `open` event.
+            //
+            self.once('flush', function ()
+            {
+                // A stream that failed to open never flushed, leaving its
+                // listener behind for the one that replaced it.
+                if (stream !== self._stream)
+                {
+                    return;
+                }
+
+                // Because "flush" event is based on native stream "drain" event,
+                // logs could be written inbetween "self.flush()" and here
+                // Therefore, we need to flush again to make sure everything is flushed
+                self.flush();
+
+                self.opening = false;
+                self.emit('open', fullname);
+            });
+
+            //
+            // Remark: It is possible that in the time it has taken to find the
+            // next logfile to be written more data than `maxsize` has been buffered,
+            // but for sensible limits (10s - 100s of MB) this seems unlikely in less
+            // than one second. While recovering, the buffer is kept until
+            // we know the file could be opened.
+            //
+            if (!self._recovering)
+            {
+                self.flush();
+            }
+        }
+
+        //
+        // Dated directories are created as files are opened in them.
+        // Failing to do so comes up as an error opening the file.
+        //
+        function withDirectory(callback)
+        {
+            if (!self._dirParts.length)
+            {
+                return callback();
+            }
+
+            fs.mkdir(path.dirname(fullname), {recursive: true}, function ()
+            {
+                callback();
+            });
+        }
+
+        function fileStat()
+        {
+            withDirectory(function ()
+            {
+                fs.stat(fullname, function (err, stats)
+                {
+                    if (err)
+                    {
+                        if (err.code !== 'ENOENT')
+                        {
+                            return self.emit('error', err);
+                        }
+
+                        return createAndFlush(0, true);
+                    }
+
+                    if (!stats || (self.maxsize && stats.size >= self.maxsize))
+                    {
+                        //
+                        // If `stats.size` is greater than the `maxsize` for
+                        // this instance then try again
+                        //
+                        reason = 'size';
+                        return checkFile(self._getFile(true));
+                    }
+
+                    if (self._filenameHasExpired())
+                    {
+                        reason = 'date';
+                        self._unlinkOldFiles();
+
+                        var expired = self._getFilename();
+                        self._setFileDate(new Date());
+
+                        //
+                        // With a `frequency` finer than the `datePattern` the
+                        // next file has the same name, so we count it instead.
+                        //
+                        self._created = self._getFilename() === expired ? self._created + 1 : 0;
+                        return checkFile(self._getFile());
+                    }
+
+                    createAndFlush(stats.size);
+                });
+            });
+        }
+
+        function followPrimary(lock)
+        {
+            if (self._filenameHasExpired())
+            {
+                reason = 'date';
+                self._setFileDate(new Date());
+            } else if (self._stream)
+            {
+                reason = 'size';
+            }
+
+            target = self._followedFile(lock);
+            fullname = path.join(self.dirname, target);
+            withDirectory(function ()
+            {
+                fs.stat(fullname, function (err, stats)
+                {
+                    createAndFlush(err ? 0 : stats.size, Boolean(err));
+                });
+            });
+        }
+
+        function start()
+        {
+            if (self._firstRun)
+            {
+                self._initialFileCount(function ()
+                {
+                    self._loadChain(function ()
+                    {
+                        self._loadKnownFiles(function ()
+                        {
+                            self._firstRun = false;
+                            self._pendingRecovery = true;
+                            target = self._getFile();
+                            fullname = path.join(self.dirname, target);
+                            fileStat();
+                        });
+                    });
+                });
+            } else
+            {
+                fileStat();
+            }
+        }
+
+        if (self._isPrimary())
+        {
+            return start();
+        }
+
+        //
+        // Unless it can take the lock, this instance writes to
+        // whatever file the primary has chosen. Errors taking the
+        // lock leave it to the file of this instance, and will come
+        // up again opening it.
+        //
+        self._acquireLock(function (err, lock)
+        {
+            if (self._primary)
+            {
+                return start();
+            }
+
+            followPrimary(err ? null : lock);
+        });
+    })(this._getFile());
+};
+
+//
+// ### @private function _getFile ()
+// Gets the next filename to use for this instance
+// in the case that log filesizes are being capped.
+//
+DailyRotateFile.prototype._getFile = function (inc)
+{
+    if (inc)
+    {
+        //
+        // Increment the number of files created or
+        // checked by this instance.
+        //
+        // Check for maxFiles option and delete file
+        this._unlinkOldFiles();
+        this._created += 1;
+    }
+
+    return this._getFilename(this._created);
+};
+
+//
+// ### @private function _getFilename ([counter])
+// #### @counter {Number} **Optional** Size rotation counter, 0 by default.
+// Returns the log filename depending on `this.prepend` option value,
+// or on the filename template. The counter is left out while it is 0,
+// unless `omitFirstCounter` is false. With date tokens in `dirname` the
+// name starts with the dated directories.
+//
+DailyRotateFile.prototype._getFilename = function (counter)
+{
+    var parts = this._nameParts;
+    var name = parts.prefix + this.getFormattedDate() + parts.infix;
+
+    if (counter || (this._template && !this.omitFirstCounter))
+    {
+        name += parts.separator + pad(counter || 0, this.counterWidth);
+    }
+
+    return formatDateParts(this._dirParts, this._fileDate) + name + parts.suffix;
+};
+
+//
+// ### @private function _lazyDrain ()
+// Lazily attempts to emit the `logged` event when `this.stream` has
+// drained. This is really just a simple mutex that only works because
+// Node.js is single-threaded. With winston 3 `logged` is emitted for
+// every message instead, with its `info`.
+//
+DailyRotateFile.prototype._lazyDrain = function ()
+{
+    var self = this;
+
+    if (!WINSTON3 && !this._draining && this._stream)
+    {
+        this._draining = true;
+
+        this._stream.once('drain', function ()
+        {
+            self._draining = false;
+            self.emit('logged');
+        });
+    }
+};
+
+//
+// ### @private function _filenameHasExpired ()
+// Checks whether the current log file is valid
+// based on given datepattern, or on `frequency` if set
+//
+DailyRotateFile.prototype._filenameHasExpired = function ()
+{
+    if (this.frequency)
+    {
+        return this._getBoundary(new Date()).getTime() !== this._fileStart;
+    }
+
+    var unit = rotationUnit(this._dirParts.concat(this._getDatePatternParts()));
+    if (!unit)
+    {
+        return false;
+    }
+
+    return periodKey(this._fileDate, unit) !== periodKey(this._getDateParts(new Date()), unit);
+};
+
+//
+// ### @private function _getBoundary (date)
+// #### @date {Date} Date to find the rotation boundary of.
+// Returns the start of the `frequency` period `date` falls in. Periods are
+// counted from the epoch, or from midnight with `frequencyAlign` set to
+// 'midnight', in which case a new day always starts a new period.
+//
+DailyRotateFile.prototype._getBoundary = function (date)
+{
+    var time = date.getTime();
+    if (this.frequencyAlign === 'epoch')
+    {
+        return new Date(time - time % this.frequency);
+    }
+
+    var parts = this._getDateParts(date);
+    var sinceMidnight = ((parts.hour * 60 + parts.minute) * 60 + parts.second) * 1000 + date.getMilliseconds();
+    return new Date(time - sinceMidnight % this.frequency);
+};
+
+//
+// ### @private function _setFileDate (date)
+// #### @date {Date} Date at which the next file is opened.
+// Sets the date the next file is named after: `date` itself, or with
+// `frequency` set the start of its period.
+//
+DailyRotateFile.prototype._setFileDate = function (date)
+{
+    var start = this.frequency ? this._getBoundary(date) : date;
+    this._fileStart = start.getTime();
+    this._fileDate = this._getDateParts(start);
+};
+
+//
+// ### @private function _getDatePatternParts ()
+// Returns the tokenized `datePattern`. The result is cached
+// until `datePattern` changes.
+//
+DailyRotateFile.prototype._getDatePatternParts = function ()
+{
+    if (this._datePatternSource !== this.datePattern)
+    {
+        this._datePatternSource = this.datePattern;
+        this._datePatternParts = tokenizeDatePattern(this.datePattern, this.extendedDatePattern);
+    }
+
+    return this._datePatternParts;
+};
+
+//
+// ### @private function _getDateParts (date)
+// #### @date {Date} Instant to break down.
+// Returns the calendar fields of `date` as seen in the zone this
+// instance rotates in: UTC when `utc` is set, the IANA zone named by
+// `timezone`, or the local zone of the process otherwise.
+//
+DailyRotateFile.prototype._getDateParts = function (date)
+{
+    if (this.utc)
+    {
+        return {
+            year: date.getUTCFullYear(),
+            month: date.getUTCMonth(),
+            date: date.getUTCDate(),
+            day: date.getUTCDay(),
+            hour: date.getUTCHours(),
+            minute: date.getUTCMinutes(),
+            second: date.getUTCSeconds()
+        };
+    }
+
+    if (this.timezone)
+    {
+        var fields = {};
+        this._dateTimeFormat.formatToParts(date).forEach(function (part)
+        {
+            fields[part.type] = part.value;
+        });
+
+        var year = parseInt(fields.year, 10);
+        var month = parseInt(fields.month, 10) - 1;
+        var day = parseInt(fields.day, 10);
+        return {
+            year: year,
+            month: month,
+            date: day,
+            day: new Date(Date.UTC(year, month, day)).getUTCDay(),
+            hour: parseInt(fields.hour, 10) % 24,
+            minute: parseInt(fields.minute, 10),
+            second: parseInt(fields.second, 10)
+        };
+    }
+
+    return {
+        year: date.getFullYear(),
+        month: date.getMonth(),
+        date: date.getDate(),
+        day: date.getDay(),
+        hour: date.getHours(),
+        minute: date.getMinutes(),
+        second: date.getSeconds()
+    };
+};
+
+//
+// ### @private function _runOnRotate (info, callback)
+// #### @info {Object} The closed `filename`, the `next` file, the `reason` and the time it was `closed`.
+// #### @callback {function} Continuation to respond to when complete.
+// Runs the `onRotate` hook for a file the transport has closed, at most
+// `onRotateConcurrency` at a time. Failures of the hook are handled as
+// `onRotateError` says and never passed on to `callback`.
+//
+DailyRotateFile.prototype._runOnRotate = function (info, callback)
+{
+    var self = this;
+    if (!this.onRotate)
+    {
+        return callback();
+    }
+
+    if (!this._onRotateQueue)
+    {
+        this._onRotateQueue = async.queue(function (task, next)
+        {
+            fs.stat(task.filename, function (err, stat)
+            {
+                task.size = err ? null : stat.size;
+                self._invokeOnRotate(task, done);
+            });
+
+            function done(err)
+            {
+                if (err)
+                {
+                    if (typeof self.onRotateError === 'function')
+                    {
+                        self.onRotateError(err, task.filename, task);
+                    } else if (self.onRotateError === 'emit')
+                    {
+                        self.emit('error', err);
+                    }
+                }
+                next();
+            }
+        }, this.onRotateConcurrency);
+    }
+
+    this._onRotateQueue.push(info, function ()
+    {
+        callback();
+    });
+};
+
+//
+// ### @private function _invokeOnRotate (info, callback)
+// #### @info {Object} See `_runOnRotate`, plus the `size` of the file.
+// #### @callback {function} Continuation to respond to when complete.
+// Calls the `onRotate` function, or spawns the `onRotate` command with
+// the closed file as its last argument and `info` in its environment.
+//
+DailyRotateFile.prototype._invokeOnRotate = function (info, callback)
+{
+    var done = false;
+    function finish(err)
+    {
+        if (!done)
+        {
+            done = true;
+            callback(err);
+        }
+    }
+
+    if (typeof this.onRotate === 'function')
+    {
+        try
+        {
+            var result = this.onRotate(info.filename, info, finish);
+            if (result && typeof result.then === 'function')
+            {
+                result.then(function ()
+                {
+                    finish();
+                }, function (err)
+                {
+                    finish(err || new Error('onRotate failed for ' + info.filename));
+                });
+            } else if (this.onRotate.length < 3)
+            {
+                finish();
+            }
+        } catch (e)
+        {
+            finish(e);
+        }
+        return;
+    }
+
+    var command = [].concat(this.onRotate);
+    var env = {};
+    Object.keys(process.env).forEach(function (key)
+    {
+        env[key] = process.env[key];
+    });
+    env.ROTATE_FILE = info.filename;
+    env.ROTATE_NEXT = info.next;
+    env.ROTATE_REASON = info.reason || '';
+    env.ROTATE_SIZE = String(info.size);
+
+    var child = childProcess.spawn(command[0], command.slice(1).concat(info.filename), {
+        env: env,
+        stdio: 'ignore'
+    });
+    child.on('error', finish);
+    child.on('exit', function (code, signal)
+    {
+        finish(code === 0 ? null : new Error('onRotate command ' + command[0] + ' failed for ' +
+            info.filename + ' with ' + (signal || 'exit code ' + code)));
+    });
+};
+
+//
+// ### @private function _updateSymlink (fullname)
+// #### @fullname {String} Path of the file now being written to.
+// Points the `symlinkName` link in `dirname` at `fullname`, unless it
+// already does. The new link is created under a temporary name and
+// renamed over the old one, so the link never goes missing.
+//
+DailyRotateFile.prototype._updateSymlink = function (fullname)
+{
+    var self = this;
+    var link = path.join(this.dirname, this.symlinkName);
+    var target = path.relative(this.dirname, fullname);
+    var tmp = link + '.' + process.pid + '.tmp';
+
+    fs.readlink(link, function (err, current)
+    {
+        if (!err && current === target)
+        {
+            return;
+        }
+
+        fs.unlink(tmp, function ()
+        {
+            fs.symlink(target, tmp, function (err)
+            {
+                if (err)
+                {
+                    return self.emit('error', err);
+                }
+
+                fs.rename(tmp, link, function (err)
+                {
+                    if (err)
+                    {
+                        self.emit('error', err);
+                    }
+                });
+            });
+        });
+    });
+};
+
+//
+// ### @private function _isPrimary ()
+// Returns a value indicating whether this instance decides about rotation,
+// retention and archiving. With `coordinate` set, only the process holding
+// the lock does, while the others follow it.
+//
+DailyRotateFile.prototype._isPrimary = function ()
+{
+    return !this.coordinate || this._primary;
+};
+
+//
+// ### @private function _readLock (callback)
+// #### @callback {function} Continuation to respond to when complete.
+// Reads `lockFile`, responding with `null` when there is none.
+//
+DailyRotateFile.prototype._readLock = function (callback)
+{
+    fs.readFile(this.lockFile, 'utf8', function (err, content)
+    {
+        if (err)
+        {
+            return callback(err.code === 'ENOENT' ? null : err, null);
+        }
+
+        var lock;
+        try
+        {
+            lock = JSON.parse(content);
+        } catch (e)
+        {
+            //
+            // The process which has just created the lock
+            // has not finished writing it yet.
+            //
+            lock = {};
+        }
+
+        callback(null, lock);
+    });
+};
+
+//
+// ### @private function _acquireLock (callback)
+// #### @callback {function} Continuation to respond to when complete.
+// Tries to become the primary by creating `lockFile`, taking it over if the
+// process holding it has exited (see `_takeOverLock`). Responds with the
+// current lock when it is held by another instance.
+//
+DailyRotateFile.prototype._acquireLock = function (callback)
+{
+    var self = this;
+    var lock = JSON.stringify({pid: process.pid, id: this._lockId});
+
+    fs.writeFile(this.lockFile, lock, {flag: 'wx'}, function (err)
+    {
+        if (!err)
+        {
+            self._primary = true;
+            self.emit('primary', self.lockFile);
+            return callback(null, null);
+        }
+
+        if (err.code !== 'EEXIST')
+        {
+            return callback(err);
+        }
+
+        self._readLock(function (err, current)
+        {
+            if (err || !current || !lockIsStale(current))
+            {
+                return callback(err, current);
+            }
+
+            self._takeOverLock(current, callback);
+        });
+    });
+};
+
+//
+// ### @private function _takeOverLock (stale, callback)
+// #### @stale {Object} Contents of `lockFile` as read, held by a process which has exited.
+// #### @callback {function} Continuation to respond to when complete.
+// Removes the `stale` lock and tries to acquire the lock again. Several
+// processes may find the same stale lock, and one may already have
+// replaced it by the time another gets here. The lock is therefore
+// first renamed to a name of this instance alone, which only one of them
+// can do, and only removed if it still is the `stale` one. Otherwise the
+// lock of whoever replaced it is put back.
+//
+DailyRotateFile.prototype._takeOverLock = function (stale, callback)
+{
+    var self = this;
+    var moved = this.lockFile + '.' + this._lockId + '.stale';
+
+    fs.rename(this.lockFile, moved, function (err)
+    {
+        if (err)
+        {
+            return err.code === 'ENOENT' ? self._acquireLock(callback) : callback(err);
+        }
+
+        fs.readFile(moved, 'utf8', function (err, content)
+        {
+            var lock = null;
+            if (!err)
+            {
+                try
+                {
+                    lock = JSON.parse(content);
+                } catch (e)
+                {
+                    lock = null;
+                }
+            }
+
+            if (lock && lock.id === stale.id && lock.pid === stale.pid)
+            {
+                return fs.unlink(moved, function ()
+                {
+                    self._acquireLock(callback);
+                });
+            }
+
+            //
+            // Should yet another process have created a lock in the
+            // meantime, that one is kept instead.
+            //
+            fs.link(moved, self.lockFile, function (err)
+            {
+                fs.unlink(moved, function ()
+                {
+                    if (err && err.code !== 'EEXIST')
+                    {
+                        return callback(err);
+                    }
+
+                    self._acquireLock(callback);
+                });
+            });
+        });
+    });
+};
+
+//
+// ### @private function _releaseLock ()
+// Removes `lockFile` if it is still held by this instance, so another
+// process can take over right away.
+//
+DailyRotateFile.prototype._releaseLock = function ()
+{
+    var self = this;
+    this._primary = false;
+    this._readLock(function (err, lock)
+    {
+        if (!err && lock && lock.id === self._lockId)
+        {
+            fs.unlink(self.lockFile, function () {});
+        }
+    });
+};
+
+//
+// ### @private function _publishFile (target)
+// #### @target {String} Name of the file the primary writes to.
+// Records `target` in `lockFile` for the other processes to follow. The
+// lock is replaced atomically, and only one update is in flight at a time.
+//
+DailyRotateFile.prototype._publishFile = function (target)
+{
+    var self = this;
+    this._published = target;
+    if (this._publishing)
+    {
+        return;
+    }
+
+    this._publishing = true;
+    var tmp = this.lockFile + '.' + this._lockId + '.tmp';
+    var lock = JSON.stringify({pid: process.pid, id: this._lockId, file: target});
+
+    fs.writeFile(tmp, lock, function (err)
+    {
+        if (err)
+        {
+            self._publishing = false;
+            return self.emit('error', err);
+        }
+
+        fs.rename(tmp, self.lockFile, function (err)
+        {
+            self._publishing = false;
+            if (err)
+            {
+                return self.emit('error', err);
+            }
+
+            if (self._published !== target && self._primary)
+            {
+                self._publishFile(self._published);
+            }
+        });
+    });
+};
+
+//
+// ### @private function _followedFile (lock)
+// #### @lock {Object} Contents of `lockFile`, if any.
+// Returns the name of the file a process which is not the primary writes
+// to: the one published by the primary, unless that belongs to a period
+// which has ended and the primary has not moved on yet.
+//
+DailyRotateFile.prototype._followedFile = function (lock)
+{
+    var file = lock && lock.file && this._parseFilename(lock.file);
+    if (file && lock.file === this._getFilename(file.counter))
+    {
+        return lock.file;
+    }
+
+    return this._getFilename();
+};
+
+//
+// ### @private function _checkLock ()
+// Runs every `lockInterval` milliseconds with `coordinate` set. The primary
+// checks whether the shared file needs to be rotated, since most lines may
+// be written by other processes, and steps down should it find the lock
+// held by another instance. The others try to take over the lock if the
+// primary has exited, and otherwise move on to the file it publishes.
+//
+DailyRotateFile.prototype._checkLock = function ()
+{
+    var self = this;
+    if (this.opening || !this._stream)
+    {
+        return;
+    }
+
+    if (!this._primary)
+    {
+        return this._followLock();
+    }
+
+    this._readLock(function (err, lock)
+    {
+        if (!err && lock && lock.id && lock.id !== self._lockId)
+        {
+            self._primary = false;
+            return self._followLock();
+        }
+
+        fs.stat(path.join(self.dirname, self.filename), function (err, stats)
+        {
+            if (self.opening)
+            {
+                return;
+            }
+
+            if ((!err && self.maxsize && stats.size >= self.maxsize) || self._filenameHasExpired())
+            {
+                self._createStream();
+            }
+        });
+    });
+};
+
+//
+// ### @private function _whenQuiet (fullname, callback)
+// #### @fullname {String} Path of a file the primary has moved on from.
+// #### @callback {function} Continuation to respond to when complete.
+// Calls `callback` once the size of `fullname` has not changed for a
+// whole `lockInterval`, but no sooner than `2 * lockInterval`, so the
+// other processes have had the time to notice the rotation and finish
+// the lines they were writing to it.
+//
+DailyRotateFile.prototype._whenQuiet = function (fullname, callback)
+{
+    var self = this;
+    var size = null;
+
+    (function check()
+    {
+        setTimeout(function ()
+        {
+            fs.stat(fullname, function (err, stats)
+            {
+                if (err || (size !== null && stats.size === size))
+                {
+                    return callback();
+                }
+
+                size = stats.size;
+                check();
+            });
+        }, self.lockInterval);
+    })();
+};
+
+//
+// ### @private function _followLock ()
+// Tries to take over the lock, and otherwise moves on to the file the
+// primary publishes, as instances which are not the primary do every
+// `lockInterval` milliseconds.
+//
+DailyRotateFile.prototype._followLock = function ()
+{
+    var self = this;
+    this._acquireLock(function (err, lock)
+    {
+        if (err && err.code !== 'ENOENT')
+        {
+            return self.emit('error', err);
+        }
+
+        if (self.opening)
+        {
+            return;
+        }
+
+        if (self._primary || self._followedFile(lock) !== self.filename || self._filenameHasExpired())
+        {
+            self._createStream();
+        }
+    });
+};
+
+//
+// ### @private function _recoverArchives (target)
+// #### @target {String} Name of the file being written to, relative to `dirname`.
+// Finishes on startup what an earlier run may have left undone when it
+// stopped: files of periods before the one of `target` which were never
+// archived are archived, archives which were not completely written are
+// removed and written again, originals left next to a complete
+// archive are removed, and archives left without an original which
+// cannot be read to the end are moved aside. Files of the current
+// period are left alone.
+// Retention is applied afterwards. Every fix emits `repair`.
+//
+DailyRotateFile.prototype._recoverArchives = function (target)
+{
+    var self = this;
+    var current = this._parseFilename(target);
+    var since = current && current.start;
+    var done = this._job();
+
+    function finish()
+    {
+        self._unlinkOldFiles(true);
+        done();
+    }
+
+    this._readdir(function (err, names)
+    {
+        //
+        // Without a directory yet there is nothing to recover.
+        //
+        if (err)
+        {
+            return done();
+        }
+
+        var originals = [];
+        var archives = {};
+        names.forEach(function (name)
+        {
+            var file = self._parseFilename(name);
+            if (!file || !since || !file.start || file.start >= since)
+            {
+                return;
+            }
+
+            if (!file.archived)
+            {
+                return originals.push(file.name);
+            }
+
+            var src = file.name.replace(/(\.gz|\.br)?(\.enc)?$/, '');
+            archives[src] = (archives[src] || []).concat(file.name);
+        });
+
+        //
+        // Archives whose original is gone are only checked to be
+        // readable to the end.
+        //
+        var orphans = Object.keys(archives).filter(function (src)
+        {
+            return originals.indexOf(src) === -1;
+        }).reduce(function (result, src)
+        {
+            return result.concat(archives[src]);
+        }, []);
+
+        async.eachSeries(self._archiving ? originals : [], function (src, next)
+        {
+            self._recoverArchive(src, archives[src] || [], next);
+        }, function ()
+        {
+            async.eachSeries(orphans, self._verifyArchive.bind(self), finish);
+        });
+    });
+};
+
+//
+// ### @private function _verifyArchive (archive, callback)
+// #### @archive {String} Path of an archive without its original.
+// #### @callback {function} Continuation to respond to when complete.
+// Moves `archive` aside, with `CORRUPT_EXTENSION` appended to its name,
+// if it cannot be read to the end. Encrypted archives are only checked
+// with a `keyProvider`.
+//
+DailyRotateFile.prototype._verifyArchive = function (archive, callback)
+{
+    var self = this;
+    if (!this.keyProvider && archive.slice(-ENCRYPTION_EXTENSION.length) === ENCRYPTION_EXTENSION)
+    {
+        return callback();
+    }
+
+    hashStream(createLogReadStream(archive, this.keyProvider), function (err)
+    {
+        if (!err)
+        {
+            return callback();
+        }
+
+        fs.rename(archive, archive + CORRUPT_EXTENSION, function (err)
+        {
+            if (!err)
+            {
+                self._updateManifest(archive, {deleted: new Date().toISOString()});
+                self.emit('repair', 'moveCorrupt', archive);
+            }
+            callback();
+        });
+    });
+};
+
+//
+// ### @private function _recoverArchive (src, archives, callback)
+// #### @src {String} Path of a log file which has not been archived.
+// #### @archives {Array} Paths of the archives found for `src`.
+// #### @callback {function} Continuation to respond to when complete.
+// Keeps the first of `archives` which holds all of `src`, removing
+// `src`, or archives `src` again. The other archives are removed.
+//
+DailyRotateFile.prototype._recoverArchive = function (src, archives, callback)
+{
+    var self = this;
+    hashFile(src, function (err, expected)
+    {
+        if (err)
+        {
+            return callback();
+        }
+
+        async.filterSeries(archives, function (archive, next)
+        {
+            hashStream(createLogReadStream(archive, self.keyProvider), function (err, actual)
+            {
+                next(null, !err && actual === expected);
+            });
+        }, function (err, complete)
+        {
+            var archive = err ? null : complete[0];
+            async.eachSeries(archives.filter(function (name)
+            {
+                return name !== archive;
+            }), removePartial, function ()
+            {
+                if (archive)
+                {
+                    return removeOriginal(archive);
+                }
+
+                self.emit('repair', 'archive', src);
+                self._archiveFile(src, function (err)
+                {
+                    if (err)
+                    {
+                        self.emit('error', err);
+                    }
+                    callback();
+                });
+            });
+        });
+    });
+
+    function removePartial(partial, next)
+    {
+        fs.unlink(partial, function (err)
+        {
+            if (!err)
+            {
+                self.emit('repair', 'removePartial', partial);
+            }
+            next();
+        });
+    }
+
+    function removeOriginal(archive)
+    {
+        self._auditClosedFile(src, archive, function ()
+        {
+            fs.unlink(src, function (err)
+            {
+                if (!err)
+                {
+                    self.emit('repair', 'removeOriginal', src);
+                }
+                callback();
+            });
+        });
+    }
+};
+
+//
+// ### @private function _queueArchive (src)
+// #### @src {String} Path of a closed log file.
+// Schedules `src` to be archived. Archives are written in the
+// background, one at a time.
+//
+DailyRotateFile.prototype._queueArchive = function (src)
+{
+    var self = this;
+    if (!this._archiveQueue)
+    {
+        this._archiveQueue = async.queue(function (file, callback)
+        {
+            self._archiveFile(file, function (err)
+            {
+                if (err)
+                {
+                    self.emit('error', err);
+                }
+                callback();
+            });
+        }, 1);
+    }
+
+    this._archiveQueue.push(src, this._job());
+};
+
+//
+// ### @private function _archiveFile (src, callback)
+// #### @src {String} Path of a closed log file.
+// #### @callback {function} Continuation to respond to when complete.
+// Compresses `src` with `archiveFormat` if `zippedArchive` is set, and
+// encrypts it with the current key of `keyProvider` if there is one. The
+// original is only deleted once the archive has been written completely
+// and reads back to the same contents; otherwise the partial archive is
+// removed and the original is kept. Emits `archive` with both paths on
+// success.
+//
+DailyRotateFile.prototype._archiveFile = function (src, callback)
+{
+    var self = this;
+    var dest = src + (this.zippedArchive ? ARCHIVE_EXTENSIONS[this.archiveFormat] : '') +
+        (this.keyProvider ? ENCRYPTION_EXTENSION : '');
+    var hash = crypto.createHash('sha256');
+    var done = false;
+    var input;
+    var output;
+
+    function fail(err)
+    {
+        if (done)
+        {
+            return;
+        }
+
+        done = true;
+        if (!input)
+        {
+            return callback(err);
+        }
+
+        input.destroy();
+        output.destroy();
+        fs.unlink(dest, function ()
+        {
+            callback(err);
+        });
+    }
+
+    function write(encrypt)
+    {
+        var compress = self.zippedArchive ? self._createCompressor() : null;
+
+        input = fs.createReadStream(src);
+        output = fs.createWriteStream(dest);
+
+        input.on('error', fail);
+        output.on('error', fail);
+        input.on('data', function (data)
+        {
+            hash.update(data);
+        });
+
+        output.on('close', function ()
+        {
+            if (done)
+            {
+                return;
+            }
+
+            var expected = hash.digest('hex');
+            hashStream(createLogReadStream(dest, self.keyProvider), function (err, actual)
+            {
+                if (err || actual !== expected)
+                {
+                    return fail(err || new Error('Archive ' + dest + ' does not match ' + src));
+                }
+
+                done = true;
+                self._auditClosedFile(src, dest, function ()
+                {
+                    fs.unlink(src, function (err)
+                    {
+                        if (err)
+                        {
+                            return callback(err);
+                        }
+
+                        self.emit('archive', src, dest);
+                        callback();
+                    });
+                });
+            });
+        });
+
+        var stream = input;
+        [compress, encrypt].forEach(function (step)
+        {
+            if (step)
+            {
+                step.on('error', fail);
+                stream = stream.pipe(step);
+            }
+        });
+        stream.pipe(output);
+    }
+
+    if (!this.keyProvider)
+    {
+        return write(null);
+    }
+
+    getKey(this.keyProvider, null, function (err, result)
+    {
+        if (err)
+        {
+            return fail(err);
+        }
+
+        write(createEncryptStream(result.id, result.key));
+    });
+};
+
+//
+// ### @private function _createCompressor ()
+// Returns a compression stream for `archiveFormat` and `archiveLevel`.
+//
+DailyRotateFile.prototype._createCompressor = function ()
+{
+    if (this.archiveFormat === 'brotli')
+    {
+        var params = {};
+        if (this.archiveLevel !== null)
+        {
+            params[zlib.constants.BROTLI_PARAM_QUALITY] = this.archiveLevel;
+        }
+        return zlib.createBrotliCompress({params: params});
+    }
+
+    return zlib.createGzip(this.archiveLevel === null ? {} : {level: this.archiveLevel});
+};
+
+//
+// ### @private function _partsToDate (parts)
+// #### @parts {Object} Date parts as returned by `_getDateParts`.
+// The inverse of `_getDateParts`: returns the instant at which the clock
+// of the zone this instance rotates in shows `parts`. Out of range fields
+// roll over into the next larger one.
+//
+DailyRotateFile.prototype._partsToDate = function (parts)
+{
+    var wall = Date.UTC(parts.year, parts.month, parts.date, parts.hour, parts.minute, parts.second);
+
+    if (this.utc)
+    {
+        return new Date(wall);
+    }
+
+    if (this.timezone)
+    {
+        //
+        // Guess the offset of the zone at `wall`, then correct the guess
+        // once in case it falls on the other side of a DST change.
+        //
+        var guess = wall;
+        for (var i = 0; i < 2; i++)
+        {
+            var seen = this._getDateParts(new Date(guess));
+            guess = wall - (Date.UTC(seen.year, seen.month, seen.date, seen.hour, seen.minute, seen.second) - guess);
+        }
+        return new Date(guess);
+    }
+
+    return new Date(parts.year, parts.month, parts.date, parts.hour, parts.minute, parts.second);
+};
+
+//
+// ### @private function _getFilenameRegExp ()
+// Returns a regular expression matching every name `_getFile` can produce
+// for this instance, optionally followed by an archive extension.
+// The result is cached until `datePattern` changes.
+//
+DailyRotateFile.prototype._getFilenameRegExp = function ()
+{
+    var parts = this._getDatePatternParts();
+    if (this._filenameRegExpParts !== parts)
+    {
+        var date = datePartsRegExp(parts);
+        var name = this._nameParts;
+
+        this._filenameRegExpParts = parts;
+        this._filenameRegExp = new RegExp('^' + datePartsRegExp(this._dirParts) +
+            escapeRegExp(name.prefix) + date + escapeRegExp(name.infix) +
+            '(?:' + escapeRegExp(name.separator) + '(\\d+))?' + escapeRegExp(name.suffix) + '((?:\\.gz|\\.br)?(?:\\.enc)?)$');
+    }
+
+    return this._filenameRegExp;
+};
+
+//
+// ### @private function _parseFilename (filename)
+// #### @filename {String} Name of a file relative to `dirname`.
+// Returns `null` if `filename` was not written by this instance.
+// Otherwise returns an object with the full path (`name`), the start and
+// end of the period the file covers (`start`, `end`, both `null` if the
+// `datePattern` does not identify a single period), the size rotation
+// `counter` and whether the file is an `archived` one.
+//
+DailyRotateFile.prototype._parseFilename = function (filename)
+{
+    var match = this._getFilenameRegExp().exec(filename);
+    if (!match)
+    {
+        return null;
+    }
+
+    var parts = this._dirParts.concat(this._getDatePatternParts());
+    var tokenCount = match.length - 3;
+    var unit = rotationUnit(parts);
+    var start = unit && periodStart(parseDateFields(parts, match.slice(1, tokenCount + 1)), unit);
+    var end = start && this._partsToDate(periodEnd(start, unit));
+
+    start = start && this._partsToDate(start);
+
+    //
+    // A file named after a `frequency` boundary lasts until the next
+    // boundary, unless the `datePattern` covers an even longer period.
+    //
+    if (start && this.frequency)
+    {
+        var next = this._getBoundary(new Date(start.getTime() + this.frequency));
+        end = next > end ? next : end;
+    }
+
+    return {
+        name: path.join(this.dirname, filename),
+        start: start || null,
+        end: end || null,
+        counter: match[tokenCount + 1] ? parseInt(match[tokenCount + 1], 10) : 0,
+        archived: Boolean(match[tokenCount + 2])
+    };
+};
+
+//
+// ### @private function _readdir (callback)
+// #### @callback {function} Continuation to respond to when complete.
+// Responds with the names, relative to `dirname`, of the files which may
+// have been written by this instance. With date tokens in `dirname` the
+// dated directories below it are walked.
+//
+DailyRotateFile.prototype._readdir = function (callback)
+{
+    var self = this;
+    var depth = this._dirParts.filter(function (part)
+    {
+        return part.literal === '/';
+    }).length;
+
+    (function walk(dir, level, done)
+    {
+        fs.readdir(path.join(self.dirname, dir), function (err, names)
+        {
+            if (err)
+            {
+                //
+                // Whatever is not a directory below `dirname`
+                // cannot hold any files of ours.
+                //
+                return done(level ? null : err, []);
+            }
+
+            names = names.map(function (name)
+            {
+                return dir ? dir + '/' + name : name;
+            });
+
+            if (level === depth)
+            {
+                return done(null, names);
+            }
+
+            async.map(names, function (name, next)
+            {
+                walk(name, level + 1, next);
+            }, function (err, lists)
+            {
+                done(err, [].concat.apply([], lists || []));
+            });
+        });
+    })('', 0, callback);
+};
+
+//
+// ### @private function _relativeName (fullname)
+// #### @fullname {String} Path of a file.
+// Returns the name of `fullname` relative to `dirname`, as used by
+// `_getFilename` and `_parseFilename`.
+//
+DailyRotateFile.prototype._relativeName = function (fullname)
+{
+    return path.relative(this.dirname, fullname).split(path.sep).join('/');
+};
+
+//
+// ### @private function _pruneDirectories (dir)
+// #### @dir {String} Directory a file has been removed from.
+// Removes `dir` and its parents up to `dirname` as long as they are
+// empty, once retention has deleted the files of a dated directory.
+//
+DailyRotateFile.prototype._pruneDirectories = function (dir)
+{
+    var self = this;
+    if (!this._dirParts.length || path.relative(this.dirname, dir).indexOf('..') === 0 ||
+        path.resolve(dir) === path.resolve(this.dirname))
+    {
+        return;
+    }
+
+    fs.rmdir(dir, function (err)
+    {
+        if (!err)
+        {
+            self._pruneDirectories(path.dirname(dir));
+        }
+    });
+};
+
+//
+// ### @private function _listFiles (callback)
+// #### @callback {function} Continuation to respond to when complete.
+// Responds with the parsed names (see `_parseFilename`) of all files
+// written by this instance, oldest first. The files are taken from the
+// audit manifest if there is one, and from `dirname` otherwise.
+//
+DailyRotateFile.prototype._listFiles = function (callback)
+{
+    var self = this;
+    if (this.auditFile)
+    {
+        return this._loadManifest(function (err)
+        {
+            if (err)
+            {
+                return callback(err);
+            }
+
+            var files = self._manifest.files.map(function (entry)
+            {
+                var file = !entry.deleted && self._parseFilename(self._relativeName(self._manifestPath(entry.name)));
+                if (file)
+                {
+                    file.name = self._manifestPath(entry.archive || entry.name);
+                    file.archived = Boolean(entry.archive);
+                }
+                return file;
+            }).filter(Boolean);
+
+            callback(null, sortFiles(files));
+        });
+    }
+
+    this._readdir(function (err, files)
+    {
+        if (err)
+        {
+            return callback(err);
+        }
+
+        callback(null, sortFiles(files.map(function (file)
+        {
+            return self._parseFilename(file);
+        }).filter(Boolean)));
+    });
+};
+
+//
+// ### @private function _readLogFile (file, onLine, callback)
+// #### @file {String} Full path of the file to read.
+// #### @onLine {function} Called with every line of the file.
+// #### @callback {function} Continuation to respond to when complete.
+// Reads a log file line by line, decrypting and decompressing it on the
+// fly if it is an archive.
+//
+DailyRotateFile.prototype._readLogFile = function (file, onLine, callback)
+{
+    var done = false;
+    var buff = '';
+    var stream = createLogReadStream(file, this.keyProvider);
+
+    function finish(err)
+    {
+        if (!done)
+        {
+            done = true;
+            callback(err);
+        }
+    }
+
+    stream.on('error', finish);
+    stream.setEncoding('utf8');
+    stream.on('data', function (data)
+    {
+        var lines = (buff + data).split(/\r?\n/);
+        buff = lines.pop();
+        lines.forEach(function (line)
+        {
+            if (line)
+            {
+                onLine(line);
+            }
+        });
+    });
+
+    stream.on('end', function ()
+    {
+        if (buff)
+        {
+            onLine(buff);
+        }
+        finish();
+    });
+};
+
+//
+// ### @private function _chainLine (data)
+// #### @data {String} JSON line to write, including `eol`.
+// Returns `data` linked to the hash chain: the first line of every file
+// names the file the chain comes from in `chainPrevious`, and every line
+// ends with its `chainHash`.
+//
+DailyRotateFile.prototype._chainLine = function (data)
+{
+    var line = data.slice(0, data.length - this.eol.length);
+
+    if (this.filename && this.filename !== this._chainFile)
+    {
+        if (this._chainFile)
+        {
+            line = line.slice(0, -1) + ',"chainPrevious":' + JSON.stringify(this._chainFile) + '}';
+        }
+        this._chainFile = this.filename;
+    }
+
+    this._chainHash = chainHash(this._chainHash, line);
+    return line.slice(0, -1) + ',"chainHash":"' + this._chainHash + '"}' + this.eol;
+};
+
+//
+// ### @private function _loadKnownFiles (callback)
+// #### @callback {function} Continuation to respond to when complete.
+// Remembers the names of the files earlier runs have written, oldest
+// first, for the header of the first file to link to the last of them.
+//
+DailyRotateFile.prototype._loadKnownFiles = function (callback)
+{
+    var self = this;
+    if (!this.fileHeader)
+    {
+        return callback();
+    }
+
+    this._listFiles(function (err, files)
+    {
+        self._knownFiles = (err ? [] : files).map(function (file)
+        {
+            return self._relativeName(file.name).replace(/(\.gz|\.br)?(\.enc)?$/, '');
+        });
+        callback();
+    });
+};
+
+//
+// ### @private function _writeRecord (type, fields)
+// #### @type {String} Either 'header' or 'footer'.
+// #### @fields {Object} Content of the record.
+// Writes a header or footer record to the current file.
+//
+DailyRotateFile.prototype._writeRecord = function (type, fields)
+{
+    var record = {};
+    record[RECORD_FIELD] = type;
+    record.timestamp = new Date().toISOString();
+    Object.keys(fields).forEach(function (key)
+    {
+        record[key] = fields[key];
+    });
+
+    this._fileRecords++;
+    this._writeOutput(JSON.stringify(record) + this.eol);
+};
+
+//
+// ### @private function _writeHeader ()
+// Writes the header of a new file, as returned by `fileHeader` if it
+// is a function.
+//
+DailyRotateFile.prototype._writeHeader = function ()
+{
+    var header = {
+        hostname: os.hostname(),
+        pid: process.pid,
+        version: this.appVersion,
+        options: this._headerOptions,
+        previous: this._previousFile
+    };
+
+    if (typeof this.fileHeader === 'function')
+    {
+        header = this.fileHeader(header) || header;
+    }
+
+    this._writeRecord('header', header);
+};
+
+//
+// ### @private function _writeFooter (reason)
+// #### @reason {String} Why the file is closed: 'date', 'size' or 'close'.
+// Writes the footer of the current file, with the number of messages
+// written to it and its size in bytes up to the footer.
+//
+DailyRotateFile.prototype._writeFooter = function (reason)
+{
+    this._writeRecord('footer', {
+        lines: this._fileLines - this._fileRecords,
+        bytes: this._fileBytes,
+        reason: reason
+    });
+};
 
 //
-// ### function stream (options)
-// #### @options {Object} Stream options for this instance.
-// Returns a log stream for this transport. Options object is optional.
+// ### @private function _loadChain (callback)
+// #### @callback {function} Continuation to respond to when complete.
+// Picks up the hash chain where an earlier run left it, from the last
+// line of the newest file written by this instance.
 //
-DailyRotateFile.prototype.stream = function (options)
+DailyRotateFile.prototype._loadChain = function (callback)
 {
-    var file = path.join(this.dirname, this._getFilename());
-    options = options || {};
-    var stream = new Stream();
-
-    var tail = {
-        file: file,
-        start: options.start
-    };
+    var self = this;
+    if (!this.hashChain || !this.dirname)
+    {
+        return callback();
+    }
 
-    stream.destroy = common.tailFile(tail, function (err, line)
+    this._listFiles(function (err, files)
     {
-        if (err)
+        var file = !err && files[files.length - 1];
+        if (!file)
         {
-            return stream.emit('error', err);
+            return callback();
         }
 
-        try
+        var last = null;
+        self._readLogFile(file.name, function (line)
         {
-            stream.emit('data', line);
-            line = JSON.parse(line);
-            stream.emit('log', line);
-        } catch (e)
+            var match = CHAIN_HASH.exec(line);
+            if (match)
+            {
+                last = match[1];
+            }
+        }, function ()
         {
-            stream.emit('error', e);
-        }
+            if (last)
+            {
+                self._chainHash = last;
+                self._chainFile = self._relativeName(file.name).replace(/(\.gz|\.br)?(\.enc)?$/, '');
+            }
+            callback();
+        });
     });
-
-    if (stream.resume)
-    {
-        stream.resume();
-    }
-
-    return stream;
 };
 
 //
-// ### function open (callback)
-// #### @callback {function} Continuation to respond to when complete
-// Checks to see if a new file needs to be created based on the `maxsize`
-// (if any) and the current size of the file used.
+// ### function verify ([dirname], callback)
+// #### @dirname {String} **Optional** Directory holding the files, defaults to `dirname`.
+// #### @callback {function} Continuation to respond to when complete.
+// Checks the hash chain of the files written with `hashChain` set, oldest
+// first. Responds with `{ valid, files, lines }` and, if the chain does
+// not hold, the `reason`, `file` and `line` of the first problem found:
+// `modified` if the content of a line no longer matches its hash,
+// `broken` if a file does not carry on the chain of the one before, as
+// when that one has been truncated, and `missing` if a file the chain
+// comes from is gone. Files removed by retention before the oldest one
+// left are not missing.
 //
-DailyRotateFile.prototype.open = function (callback)
+DailyRotateFile.prototype.verify = function (dirname, callback)
 {
-    var now = new Date();
-    if (this.opening)
+    if (typeof dirname === 'function')
     {
-        //
-        // If we are already attempting to open the next
-        // available file then respond with a value indicating
-        // that the message should be buffered.
-        //
-        return callback(true);
-    } else if (!this._stream || (this.maxsize && this._size >= this.maxsize) || this._filenameHasExpired())
+        callback = dirname;
+        dirname = null;
+    }
+
+    var self = this;
+    if (dirname && dirname !== this.dirname)
     {
-        //
-        // If we dont have a stream or have exceeded our size, then create
-        // the next stream and respond with a value indicating that
-        // the message should be buffered.
-        //
-        callback(true);
-        return this._createStream();
+        self = Object.create(this);
+        self.dirname = dirname;
+        self.auditFile = null;
     }
 
-    //
-    // Otherwise we have a valid (and ready) stream.
-    //
-    callback();
-};
+    var report = {valid: true, files: 0, lines: 0};
 
-//
-// ### function close ()
-// Closes the stream associated with this instance.
-//
-DailyRotateFile.prototype.close = function ()
-{
-    var self = this;
+    function fail(reason, file, line)
+    {
+        report.valid = false;
+        report.reason = reason;
+        report.file = file;
+        report.line = line;
+    }
 
-    if (this._stream)
+    self._listFiles(function (err, files)
     {
-        this._stream.end();
-        this._stream.destroySoon();
+        if (err)
+        {
+            return callback(err);
+        }
 
-        this._stream.once('drain', function ()
+        var names = files.map(function (file)
         {
-            self.emit('flush');
-            self.emit('closed');
+            return self._relativeName(file.name).replace(/(\.gz|\.br)?(\.enc)?$/, '');
         });
-    }
+        var previous = null;
+
+        async.eachOfSeries(files, function (file, index, next)
+        {
+            if (!report.valid)
+            {
+                return next();
+            }
+
+            var lineNumber = 0;
+            report.files++;
+
+            self._readLogFile(file.name, function (line)
+            {
+                if (!report.valid)
+                {
+                    return;
+                }
+
+                lineNumber++;
+                report.lines++;
+
+                var match = CHAIN_HASH.exec(line);
+                if (!match)
+                {
+                    return fail('modified', file.name, lineNumber);
+                }
+
+                var content = line.slice(0, match.index) + '}';
+                if (lineNumber === 1)
+                {
+                    var from;
+                    try
+                    {
+                        from = JSON.parse(content).chainPrevious;
+                    } catch (e)
+                    {
+                        return fail('modified', file.name, lineNumber);
+                    }
+
+                    if (!from)
+                    {
+                        //
+                        // Either the start of the chain or a file appended
+                        // to by a later run, which carries on the chain.
+                        //
+                        previous = index ? previous : CHAIN_GENESIS;
+                    } else if (names.indexOf(from) === -1)
+                    {
+                        if (index)
+                        {
+                            return fail('missing', path.join(self.dirname, from), lineNumber);
+                        }
+                        previous = null;
+                    } else if (from !== names[index - 1])
+                    {
+                        return fail('broken', file.name, lineNumber);
+                    }
+                }
+
+                if (previous !== null && chainHash(previous, content) !== match[1])
+                {
+                    return fail(lineNumber === 1 && index ? 'broken' : 'modified', file.name, lineNumber);
+                }
+                previous = match[1];
+            }, next);
+        }, function (err)
+        {
+            callback(err || null, report);
+        });
+    });
 };
 
 //
-// ### function flush ()
-// Flushes any buffered messages to the current `stream`
-// used by this instance.
+// ### @private function _initialFileCount (callback)
+// #### @callback {function} Continuation to respond to when complete.
+// Recovers the size rotation counter of the current period from the
+// files written by earlier runs, so they are appended to rather than
+// overwritten.
 //
-DailyRotateFile.prototype.flush = function ()
+DailyRotateFile.prototype._initialFileCount = function (callback)
 {
     var self = this;
+    if (this.auditFile)
+    {
+        return this._loadManifest(function (err)
+        {
+            if (err)
+            {
+                self.emit('error', err);
+                return callback();
+            }
 
-    //
-    // Iterate over the `_buffer` of enqueued messaged
-    // and then write them to the newly created stream.
-    //
-    this._buffer.forEach(function (item)
+            self._manifest.files.forEach(function (entry)
+            {
+                self._countExistingFile(self._relativeName(self._manifestPath(entry.name)));
+            });
+
+            callback();
+        });
+    }
+
+    if (!this.maxFiles && !this.olderThan)
     {
-        var str = item[0];
-        var callback = item[1];
+        return callback();
+    }
 
-        process.nextTick(function ()
+    this._readdir(function (err, files)
+    {
+        if (err)
         {
-            self._write(str, callback);
-            self._size += str.length;
+            self.emit('error', err);
+            return callback();
+        }
+
+        files.forEach(function (name)
+        {
+            self._countExistingFile(name);
         });
+
+        callback();
     });
+};
 
-    //
-    // Quickly truncate the `_buffer` once the write operations
-    // have been started
-    //
-    self._buffer.length = 0;
+//
+// ### @private function _countExistingFile (name)
+// #### @name {String} Name of a file relative to `dirname`.
+// Makes sure the counter of the next file written for the current date
+// comes after the one of `name`, if that is a file for the current date.
+//
+DailyRotateFile.prototype._countExistingFile = function (name)
+{
+    var file = this._parseFilename(name);
+    if (!file)
+    {
+        return;
+    }
 
-    //
-    // When the stream has drained we have flushed
-    // our buffer.
-    //
-    self._stream.once('drain', function ()
+    if (file.archived)
     {
-        self.emit('flush');
-        self.emit('logged');
-    });
+        name = name.replace(/(\.gz|\.br)?(\.enc)?$/, '');
+    }
+
+    if (name === this._getFilename(file.counter))
+    {
+        this._created = Math.max(this._created, file.counter);
+    }
 };
 
 //
-// ### @private function _createStream ()
-// Attempts to open the next appropriate file for this instance
-// based on the common state (such as `maxsize` and `_basename`).
+// ### @private function _getRetentionCandidates (callback)
+// #### @callback {function} Continuation to respond to when complete.
+// Responds with the files retention may delete as `{name, start, end,
+// counter, time, size}` objects, where `start`, `end` and `counter` are
+// parsed from the name (see `_parseFilename`) and `time` is the `mtime`.
+// They are taken from the audit manifest if there is one, with the time
+// the file was closed as `time`, and from `dirname` otherwise. When
+// files are archived only archives are candidates.
 //
-DailyRotateFile.prototype._createStream = function ()
+DailyRotateFile.prototype._getRetentionCandidates = function (callback)
 {
     var self = this;
-    this.opening = true;
+    if (this.auditFile)
+    {
+        return this._loadManifest(function (err)
+        {
+            if (err)
+            {
+                return callback(err);
+            }
 
-    (function checkFile(target)
+            var current = self._stream && path.join(self.dirname, self.filename);
+            callback(null, self._manifest.files.filter(function (entry)
+            {
+                return !entry.deleted && (!self._archiving || entry.archive);
+            }).map(function (entry)
+            {
+                var name = self._manifestPath(entry.archive || entry.name);
+                var parsed = self._parseFilename(self._relativeName(self._manifestPath(entry.name))) || {};
+                return {
+                    name: name,
+                    start: parsed.start || null,
+                    end: parsed.end || null,
+                    counter: parsed.counter || 0,
+                    time: new Date(entry.closed || entry.created),
+                    size: (entry.archive ? entry.archiveSize : entry.size) ||
+                        (name === current ? self._size : 0)
+                };
+            }));
+        });
+    }
+
+    this._readdir(function (err, files)
     {
-        var fullname = path.join(self.dirname, target);
+        if (err)
+        {
+            return callback(err);
+        }
 
-        //
-        // Creates the `WriteStream` and then flushes any
-        // buffered messages.
-        //
-        function createAndFlush(size)
+        var candidates = [];
+        for (var i = 0; i < files.length; i++)
         {
-            if (self._stream)
+            var parsed = self._parseFilename(files[i]);
+            if (parsed && (!self._archiving || parsed.archived))
             {
-                self._stream.end();
-                self._stream.destroySoon();
+                candidates.push(parsed);
             }
+        }
 
-            self._size = size;
-            self.filename = target;
-            self._stream = fs.createWriteStream(fullname, self.options);
-            self._stream.on('error', function (error)
+        async.map(candidates, function (file, cb)
+        {
+            fs.stat(file.name, function (err, stat)
             {
-                if (self._failures < self.maxRetries)
-                {
-                    self._createStream();
-                    self._failures++;
-                } else
+                if (err)
                 {
-                    self.emit('error', error);
+                    return cb(err);
                 }
-            });
 
-            //
-            // We need to listen for drain events when
-            // write() returns false. This can make node
-            // mad at times.
-            //
-            self._stream.setMaxListeners(Infinity);
+                cb(null, {
+                    name: file.name,
+                    start: file.start,
+                    end: file.end,
+                    counter: file.counter,
+                    isFile: stat.isFile(),
+                    time: stat.mtime,
+                    size: stat.size
+                });
+            });
+        }, function (err, selectedFiles)
+        {
+            if (err)
+            {
+                return callback(err);
+            }
 
-            //
-            // When the current stream has finished flushing
-            // then we can be sure we have finished opening
-            // and thus can emit the `open` event.
-            //
-            self.once('flush', function ()
+            callback(null, selectedFiles.filter(function (file)
             {
-                // Because "flush" event is based on native stream "drain" event,
-                // logs could be written inbetween "self.flush()" and here
-                // Therefore, we need to flush again to make sure everything is flushed
-                self.flush();
+                return file.isFile;
+            }));
+        });
+    });
+};
 
-                self.opening = false;
-                self.emit('open', fullname);
-            });
+//
+// ### @private function _unlinkOldFiles ([settled], [callback])
+// #### @settled {Boolean} **Optional** Whether no new file is about to be created.
+// #### @callback {function} **Optional** Continuation to respond to when complete.
+// Applies the retention policies. `maxFiles`, `olderThan` and
+// `maxTotalSize` each pick the files they want gone from the full list
+// of candidates, and every file picked by any of them is deleted.
+// Unless `settled`, `maxFiles` leaves room for the file about to be
+// created. Only the primary applies them.
+//
+DailyRotateFile.prototype._unlinkOldFiles = function (settled, callback)
+{
+    if (typeof settled === 'function')
+    {
+        callback = settled;
+        settled = false;
+    }
 
-            //
-            // Remark: It is possible that in the time it has taken to find the
-            // next logfile to be written more data than `maxsize` has been buffered,
-            // but for sensible limits (10s - 100s of MB) this seems unlikely in less
-            // than one second.
-            //
-            self.flush();
-            if (self.zippedArchive && self._archive != fullname)
+    var self = this;
+    var done = this._job();
+    var respond = callback || function () {};
+    callback = function (err)
+    {
+        done();
+        respond(err);
+    };
+    if ((!this.maxFiles && !this.olderThan && !this.maxTotalSize) || !this._isPrimary())
+    {
+        return callback();
+    }
+
+    this._getRetentionCandidates(function (err, files)
+    {
+        if (err)
+        {
+            self.emit('error', err);
+            return callback(err);
+        }
+
+        //
+        // Files go by the period and counter in their name, unless
+        // `retentionBy` says to go by their `mtime`.
+        //
+        var byTime = self.retentionBy === 'mtime';
+        if (byTime)
+        {
+            files.sort(function (filea, fileb)
             {
-                if (self._archive !== false)
-                {
-                    createArchive(self._archive);
-                }
-                self._archive = fullname;
-            }
+                return filea.time - fileb.time;
+            });
+        } else
+        {
+            sortFiles(files);
         }
 
-        function createArchive(fileToZip)
+        //
+        // Maps the name of every file to delete to the
+        // first policy that picked it.
+        //
+        var doomed = {};
+        function pick(file, policy)
         {
-            var gzip = zlib.createGzip();
-            var inp = fs.createReadStream(fileToZip);
-            var out = fs.createWriteStream(fileToZip + '.gz');
-            inp.pipe(gzip).pipe(out);
-            fs.unlink(fileToZip)
+            doomed[file.name] = doomed[file.name] || policy;
         }
 
-        function fileStat()
+        //
+        // Room is kept for the file being written to, which is no
+        // candidate when archiving, and for the next one unless settled.
+        //
+        var reserved = (self._archiving ? 1 : 0) + (settled ? 0 : 1);
+        if (self.maxFiles && files.length > self.maxFiles - reserved)
         {
-            fs.stat(fullname, function (err, stats)
+            files.slice(0, files.length - self.maxFiles + reserved).forEach(function (file)
             {
-                if (err)
-                {
-                    if (err.code !== 'ENOENT')
-                    {
-                        return self.emit('error', err);
-                    }
-
-                    return createAndFlush(0);
-                }
+                pick(file, 'maxFiles');
+            });
+        }
 
-                if (!stats || (self.maxsize && stats.size >= self.maxsize))
+        if (self.olderThan)
+        {
+            var threshold = Date.now() - ms(self.olderThan);
+            files.forEach(function (file)
+            {
+                var time = byTime ? file.time : file.end;
+                if (time && time <= threshold)
                 {
-                    //
-                    // If `stats.size` is greater than the `maxsize` for
-                    // this instance then try again
-                    //
-                    return checkFile(self._getFile(true));
+                    pick(file, 'olderThan');
                 }
+            });
+        }
+
+        if (self.maxTotalSize)
+        {
+            var current = self._stream && path.join(self.dirname, self.filename);
+            var total = files.reduce(function (sum, file)
+            {
+                return sum + file.size;
+            }, 0);
+
+            if (current && !files.some(function (file)
+            {
+                return file.name === current;
+            }))
+            {
+                total += self._size;
+            }
 
-                if (self._filenameHasExpired())
+            files.forEach(function (file)
+            {
+                if (total > self.maxTotalSize && file.name !== current)
                 {
-                    var now = new Date();
-                    self._year = now.getFullYear();
-                    self._month = now.getMonth();
-                    self._date = now.getDate();
-                    self._hour = now.getHours();
-                    self._minute = now.getMinutes();
-                    self._created = 1;
-                    return checkFile(self._getFile());
+                    pick(file, 'maxTotalSize');
+                    total -= file.size;
                 }
-
-                createAndFlush(stats.size);
             });
         }
 
-        if (self._firstRun)
+        async.each(Object.keys(doomed), function (name, cb)
         {
-            self._initialFileCount(function ()
+            self._removeFile(name, function (err)
             {
-                self._firstRun = false;
-                target = self._getFile();
-                fullname = path.join(self.dirname, target);
-                fileStat();
+                if (!err)
+                {
+                    self.emit('logRemoved', name, doomed[name]);
+                }
+                cb(err);
             });
-        } else
+        }, function (err)
         {
-            fileStat();
-        }
-    })(this._getFile());
+            if (err)
+            {
+                self.emit('error', err);
+            }
+            callback(err || null);
+        });
+    });
 };
 
 //
-// ### @private function _getFile ()
-// Gets the next filename to use for this instance
-// in the case that log filesizes are being capped.
+// ### @private function _removeFile (fullname, callback)
+// #### @fullname {String} Path of the log file or archive to delete.
+// #### @callback {function} Continuation to respond to when complete.
+// Deletes a file and records the deletion in the audit manifest.
 //
-DailyRotateFile.prototype._getFile = function (inc)
+DailyRotateFile.prototype._removeFile = function (fullname, callback)
 {
-    var filename = this._getFilename();
-    var remaining;
-
-    if (inc)
+    var self = this;
+    fs.unlink(fullname, function (err)
     {
-        //
-        // Increment the number of files created or
-        // checked by this instance.
-        //
-        // Check for maxFiles option and delete file
-        this._unlinkOldFiles();
-        this._created += 1;
-    }
+        if (err && err.code !== 'ENOENT')
+        {
+            return callback(err);
+        }
 
-    return this._created ? filename + '.' + this._created : filename;
+        self._updateManifest(fullname, {deleted: new Date().toISOString()});
+        self._pruneDirectories(path.dirname(fullname));
+        callback();
+    });
 };
 
 //
-// ### @private function _getFilename ()
-// Returns the log filename depending on `this.prepend` option value
+// ### @private function _loadManifest (callback)
+// #### @callback {function} Continuation to respond to when complete.
+// Reads the audit manifest into `_manifest` the first time it is needed.
+// A missing manifest is started from the files already in `dirname`.
 //
-DailyRotateFile.prototype._getFilename = function ()
+DailyRotateFile.prototype._loadManifest = function (callback)
 {
-    var formattedDate = this.getFormattedDate();
+    var self = this;
+    if (!this.auditFile || this._manifest)
+    {
+        return callback();
+    }
 
-    if (this.prepend)
+    fs.readFile(this.auditFile, 'utf8', function (err, data)
     {
-        if (this.datePattern === '.yyyy-MM-dd')
+        if (self._manifest)
         {
-            this.datePattern = 'yyyy-MM-dd.';
-            formattedDate = this.getFormattedDate();
+            return callback();
         }
 
-        return formattedDate + this._basename;
-    }
+        if (err && err.code !== 'ENOENT')
+        {
+            return callback(err);
+        }
+
+        if (err)
+        {
+            return self._seedManifest(callback);
+        }
+
+        try
+        {
+            self._manifest = data ? JSON.parse(data) : {files: []};
+        } catch (e)
+        {
+            return callback(e);
+        }
 
-    return this._basename + formattedDate;
+        callback();
+    });
 };
 
 //
-// ### @private function _lazyDrain ()
-// Lazily attempts to emit the `logged` event when `this.stream` has
-// drained. This is really just a simple mutex that only works because
-// Node.js is single-threaded.
+// ### @private function _seedManifest (callback)
+// #### @callback {function} Continuation to respond to when complete.
+// Starts the audit manifest with the files already in `dirname`, so that
+// retention and `query()` still cover the files written before there was
+// a manifest. Their `created` and `closed` times are their `mtime`.
 //
-DailyRotateFile.prototype._lazyDrain = function ()
+DailyRotateFile.prototype._seedManifest = function (callback)
 {
     var self = this;
+    var dir = path.dirname(this.auditFile);
+    var entries = {};
 
-    if (!this._draining && this._stream)
+    this._readdir(function (err, names)
     {
-        this._draining = true;
+        var files = sortFiles((err ? [] : names).map(function (name)
+        {
+            return self._parseFilename(name);
+        }).filter(Boolean));
 
-        this._stream.once('drain', function ()
+        async.eachSeries(files, function (file, next)
         {
-            self._draining = false;
-            self.emit('logged');
+            fs.stat(file.name, function (err, stat)
+            {
+                if (err)
+                {
+                    return next();
+                }
+
+                var src = file.archived ? file.name.replace(/(\.gz|\.br)?(\.enc)?$/, '') : file.name;
+                var entry = entries[src] = entries[src] || {
+                    name: path.relative(dir, src),
+                    created: stat.mtime.toISOString(),
+                    closed: stat.mtime.toISOString()
+                };
+
+                if (file.archived)
+                {
+                    entry.archive = path.relative(dir, file.name);
+                    entry.archiveSize = stat.size;
+                } else
+                {
+                    entry.size = stat.size;
+                }
+                next();
+            });
+        }, function ()
+        {
+            if (self._manifest)
+            {
+                return callback();
+            }
+
+            self._manifest = {
+                files: Object.keys(entries).map(function (src)
+                {
+                    return entries[src];
+                })
+            };
+
+            if (self._manifest.files.length)
+            {
+                self._saveManifest();
+            }
+            callback();
         });
-    }
+    });
 };
 
 //
-// ### @private function _filenameHasExpired ()
-// Checks whether the current log file is valid
-// based on given datepattern
+// ### @private function _saveManifest ()
+// Writes `_manifest` to `auditFile`. The manifest is written to a
+// temporary file first and renamed over the old one, so a crash never
+// leaves a truncated manifest behind. Saves requested while one is in
+// progress are combined into a single one afterwards. Each save counts
+// as a job, for `close` to wait for.
 //
-DailyRotateFile.prototype._filenameHasExpired = function ()
+DailyRotateFile.prototype._saveManifest = function ()
 {
-    var now = new Date();
     var self = this;
-    var ret = false;
-    this.datePattern.replace(this._token, function ($0)
+    if (this._savingManifest)
     {
-        if ($0 === 'yy' || $0 === 'yyyy')
-        {
-            ret |= self._year !== now.getFullYear();
-        } else if ($0 === 'M' || $0 === 'MM')
-        {
-            ret |= self._month !== now.getMonth();
-        } else if ($0 === 'd' || $0 === 'dd')
+        this._manifestDirty = true;
+        return;
+    }
+
+    this._savingManifest = true;
+    this._manifestDirty = false;
+
+    var saved = this._job();
+
+    var tmp = this.auditFile + '.tmp';
+    fs.writeFile(tmp, JSON.stringify(this._manifest, null, 2), function (err)
+    {
+        if (err)
         {
-            ret |= self._date !== now.getDate();
-        } else if ($0 === 'H' || $0 === 'HH')
+            return done(err);
+        }
+        fs.rename(tmp, self.auditFile, done);
+    });
+
+    function done(err)
+    {
+        self._savingManifest = false;
+        if (err)
         {
-            ret |= self._hour !== now.getHours();
-        } else if ($0 === 'm' || $0 === 'mm')
+            self.emit('error', err);
+        }
+        if (self._manifestDirty)
         {
-            ret |= self._minute !== now.getMinutes();
+            self._saveManifest();
         }
-    });
+        saved();
+    }
+};
 
-    return ret === 1;
+//
+// ### @private function _manifestPath (name)
+// #### @name {String} Path as stored in the manifest.
+// Manifest entries store paths relative to the directory of the
+// manifest. Returns the full path.
+//
+DailyRotateFile.prototype._manifestPath = function (name)
+{
+    return path.resolve(path.dirname(this.auditFile), name);
 };
 
-DailyRotateFile.prototype._initialFileCount = function (callback)
+//
+// ### @private function _updateManifest (fullname, changes)
+// #### @fullname {String} Path of a log file or of its archive.
+// #### @changes {Object} Properties to set on the entry of the file.
+// Updates the manifest entry of a file, if it has one.
+//
+DailyRotateFile.prototype._updateManifest = function (fullname, changes)
 {
-    var self = this;
-    if (this.maxFiles || this.olderThan)
+    var entry = this._findManifestEntry(fullname);
+    if (entry)
     {
-        fs.readdir(this.dirname, function (err, files)
+        Object.keys(changes).forEach(function (key)
         {
-            if (err)
-            {
-                self.emit('error', err);
-                callback();
-            } else
-            {
-                var fileNames = [];
-                for (var i = 0; i < files.length; i++)
-                {
-                    var file = files[i]
-                    if (file.indexOf(self._basename) == 0 && file.lastIndexOf('.gz') != (file.length - 3))
-                    {
-                        fileNames.push(file);
-                    }
-                }
-
-                async.map(fileNames, function (fileName, cb)
-                {
-                    fs.stat(path.join(self.dirname, fileName), function (err, stat)
-                    {
-                        if (err)
-                        {
-                            return cb(err);
-                        }
-
-                        cb(null, {
-                            name: fileName,
-                            isFile: stat.isFile(),
-                            time: stat.mtime
-                        });
-                    });
-                }, function (err, selectedFiles)
-                {
-                    if (err)
-                    {
-                        self.emit("error", err);
-                        return callback();
-                    }
-
-                    selectedFiles = selectedFiles.filter(function (file)
-                    {
-                        return file.isFile;
-                    });
+            entry[key] = changes[key];
+        });
+        this._saveManifest();
+    }
+};
 
-                    if (selectedFiles.length > 0)
-                    {
-                        selectedFiles.sort(function (filea, fileb)
-                        {
-                            return filea.time < fileb.time;
-                        });
+//
+// ### @private function _findManifestEntry (fullname)
+// #### @fullname {String} Path of a log file or of its archive.
+// Returns the manifest entry of a file which has not been deleted.
+//
+DailyRotateFile.prototype._findManifestEntry = function (fullname)
+{
+    if (!this._manifest)
+    {
+        return null;
+    }
 
-                        var lastFile = selectedFiles[selectedFiles.length - 1].name;
-                        var lastCount = lastFile.substr(lastFile.lastIndexOf(".") + 1);
-                        if (isNaN(lastCount) == false)
-                        {
-                            self._created = parseInt(lastCount);
-                        }
-                    }
+    var name = path.relative(path.dirname(this.auditFile), fullname);
+    return this._manifest.files.filter(function (entry)
+    {
+        return !entry.deleted && (entry.name === name || entry.archive === name);
+    })[0] || null;
+};
 
+//
+// ### @private function _auditCreatedFile (fullname)
+// #### @fullname {String} Path of the log file just opened.
+// Adds a file to the manifest, or marks it as open again if an
+// earlier run already created it.
+//
+DailyRotateFile.prototype._auditCreatedFile = function (fullname)
+{
+    if (!this._manifest)
+    {
+        return;
+    }
 
-                    callback();
-                });
-            }
-        });
-    } else
+    var entry = this._findManifestEntry(fullname);
+    if (!entry)
     {
-        callback();
+        this._manifest.files.push({
+            name: path.relative(path.dirname(this.auditFile), fullname),
+            created: new Date().toISOString(),
+            closed: null
+        });
+        return this._saveManifest();
     }
+
+    this._updateManifest(fullname, {closed: null});
 };
 
-DailyRotateFile.prototype._unlinkOldFiles = function ()
+//
+// ### @private function _auditClosedFile (fullname, [archive], [callback])
+// #### @fullname {String} Path of the log file.
+// #### @archive {String} **Optional** Path of its archive.
+// #### @callback {function} **Optional** Continuation to respond to when complete.
+// Records the size and hash of a file once it has been closed or archived.
+// Failures are emitted as `error` events rather than passed on.
+//
+DailyRotateFile.prototype._auditClosedFile = function (fullname, archive, callback)
 {
     var self = this;
-    if (this.maxFiles || this.olderThan)
+    callback = callback || function () {};
+    if (!this.auditFile)
     {
-        fs.readdir(this.dirname, function (err, files)
+        return callback();
+    }
+
+    var closed = new Date().toISOString();
+    var file = archive || fullname;
+    fs.stat(file, function (err, stat)
+    {
+        if (err)
+        {
+            self.emit('error', err);
+            return callback();
+        }
+
+        hashFile(file, function (err, hash)
         {
             if (err)
             {
                 self.emit('error', err);
+                return callback();
+            }
+
+            var changes = {hash: hash};
+            if (archive)
+            {
+                changes.archive = path.relative(path.dirname(self.auditFile), archive);
+                changes.archiveSize = stat.size;
             } else
             {
-                var fileNames = [];
-                for (var i = 0; i < files.length; i++)
-                {
-                    var file = files[i]
-                    if (file.indexOf(self._basename) == 0 && (self.zippedArchive == false || (self.zippedArchive && file.lastIndexOf('.gz') == file.length - 3)))
-                    {
-                        fileNames.push(path.join(self.dirname, file));
-                    }
-                }
-
-                async.map(fileNames, function (fileName, cb)
-                {
-                    fs.stat(fileName, function (err, stat)
-                    {
-                        if (err)
-                        {
-                            return cb(err);
-                        }
-
-                        cb(null, {
-                            name: fileName,
-                            isFile: stat.isFile(),
-                            time: stat.mtime
-                        });
-                    });
-                }, function (err, selectedFiles)
-                {
-                    if (err)
-                    {
-                        return self.emit('error', err);
-                    }
-
-                    selectedFiles = selectedFiles.filter(function (file)
-                    {
-                        return file.isFile;
-                    });
-
-                    if (self.maxFiles)
-                    {
-
-                        selectedFiles.sort(function (filea, fileb)
-                        {
-                            return filea.time > fileb.time;
-                        });
-
-                        if (selectedFiles.length >= self.maxFiles - (self.zippedArchive ? 1 : 0))
-                        {
-                            var deleteCount = selectedFiles.length - self.maxFiles + (self.zippedArchive ? 2 : 1);
-                            selectedFiles = selectedFiles.slice(0, deleteCount);
-
-                            async.map(selectedFiles, function (file, cb)
-                            {
-                                fs.unlink(file.name);
-                                cb();
-                            }, function (err, removedFiles)
-                            {
-
-                            });
-                        }
-                    } else if (self.olderThan)
-                    {
-                        var now = Date.now() - ms(self.olderThan);
-                        selectedFiles = selectedFiles.filter(function (file)
-                        {
-                            return file.time <= now;
-                        });
-
-                        async.map(selectedFiles, function (file, cb)
-                        {
-                            fs.unlink(file.name);
-                            cb();
-                        }, function (err, removedFiles)
-                        {
-
-                        });
-                    }
-                });
+                changes.closed = closed;
+                changes.size = stat.size;
             }
+            self._updateManifest(fullname, changes);
+            callback();
         });
-    }
-};
\ No newline at end of file
+    });
+};
@@ -8,11 +8,51 @@ var rimraf = require('rimraf');
 var mkdirp = require('mkdirp');
 var moment = require('moment');
 var fs = require('fs');
+var zlib = require('zlib');
+var os = require('os');
+var PassThrough = require('stream').PassThrough;
+var childProcess = require('child_process');
 var tk = require('timekeeper');
 var MemoryStream = require('./memory-stream');
 
 var DailyRotateFile = require('../');
 
+//
+// Loads another copy of the transport, built on winston 3 rather than
+// the winston 2 the other tests use.
+//
+function requireWithWinston3() {
+  var Module = require('module');
+  var index = require.resolve('../');
+  var cached = require.cache[index];
+  var resolveFilename = Module._resolveFilename;
+
+  Module._resolveFilename = function (request, parent) {
+    var args = Array.prototype.slice.call(arguments);
+    if (request === 'winston' && parent && parent.filename === index) {
+      args[0] = 'winston3';
+    }
+    return resolveFilename.apply(this, args);
+  };
+
+  try {
+    delete require.cache[index];
+    return require('../');
+  } finally {
+    Module._resolveFilename = resolveFilename;
+    require.cache[index] = cached;
+  }
+}
+
+//
+// Recent releases of winston 3 need a newer node than the transport, so
+// its tests are skipped where it cannot be loaded.
+//
+var winston3 = null;
+try {
+  winston3 = require('winston3');
+} catch (e) {}
+
 var fixturesDir = path.join(__dirname, 'fixtures');
 rimraf.sync(fixturesDir);
 mkdirp(fixturesDir);
@@ -94,6 +134,413 @@ describe('winston/transports/daily-rotate-file', function () {
       });
     });
 
+    describe('with the datePattern token language', function () {
+      var transport;
+
+      beforeEach(function () {
+        tk.travel(new Date(1862004760000)); // GMT: Mon, 01 Jan 2029 23:32:40 GMT
+      });
+
+      afterEach(function () {
+        tk.reset();
+      });
+
+      function format(pattern, extended) {
+        transport = new DailyRotateFile({
+          filename: path.join(fixturesDir, 'tokens.log'),
+          datePattern: pattern,
+          extendedDatePattern: extended !== false,
+          utc: true
+        });
+
+        return transport.getFormattedDate();
+      }
+
+      it('should format weekday, month name, quarter and day-of-year tokens', function () {
+        expect(format('ddd dddd MMM MMMM Q D DDD')).to.equal('Mon Monday Jan January 1 1 001');
+      });
+
+      it('should format ISO week, 12-hour and seconds tokens', function () {
+        expect(format('GGGG-WW W hh h HH:mm:ss s')).to.equal('2029-01 1 11 11 23:32:40 40');
+      });
+
+      it('should copy the letters of the extended tokens unless asked for them', function () {
+        expect(format('.yyyy-MM-dd.json', false)).to.equal('.2029-01-01.json');
+        expect(format('-yyyy-MM-dd.csv', false)).to.equal('-2029-01-01.csv');
+        expect(format('.yyyy-MM-dd.logs', false)).to.equal('.2029-01-01.logs');
+        expect(format('GGGG-WW Q D DDD ss', false)).to.equal('GGGG-WW Q D DDD ss');
+      });
+
+      it('should not rotate every second for a pattern with plain s and D letters', function () {
+        format('.yyyy-MM-dd.logs', false);
+        tk.travel(new Date(1862004761000)); // GMT: Mon, 01 Jan 2029 23:32:41 GMT
+        expect(transport._filenameHasExpired()).to.be.false;
+      });
+
+      it('should keep quoted text literal', function () {
+        expect(format('yyyy-MM-dd\'T\'HH\'h\'')).to.equal('2029-01-01T23h');
+        expect(format('\'it\'\'s\' \'\'')).to.equal('it\'s \'');
+      });
+
+      it('should rotate weekly when the finest token is W', function () {
+        format('.GGGG-WW');
+        tk.travel(new Date(1862353960000)); // GMT: Sat, 06 Jan 2029 00:32:40 GMT
+        expect(transport._filenameHasExpired()).to.be.false;
+        tk.travel(new Date(1862526760000)); // GMT: Mon, 08 Jan 2029 00:32:40 GMT
+        expect(transport._filenameHasExpired()).to.be.true;
+      });
+
+      it('should rotate quarterly when the finest token is Q', function () {
+        format('.yyyy-Q');
+        tk.travel(new Date(1869780760000)); // GMT: Sun, 01 Apr 2029 23:32:40 GMT
+        expect(transport._filenameHasExpired()).to.be.true;
+        transport._fileDate = transport._getDateParts(new Date());
+        tk.travel(new Date(1877585560000)); // GMT: Sun, 01 Jul 2029 07:32:40 GMT
+        expect(transport._filenameHasExpired()).to.be.true;
+      });
+
+      it('should not rotate when the pattern holds only literal text', function () {
+        format('\'.log\'');
+        tk.travel(new Date(1893483160000)); // GMT: Tue, 01 Jan 2030 07:32:40 GMT
+        expect(transport._filenameHasExpired()).to.be.false;
+      });
+    });
+
+    describe('with a rotation frequency', function () {
+      var frequencyLogPath = path.join(fixturesDir, 'frequency');
+      var transport;
+
+      beforeEach(function () {
+        rimraf.sync(frequencyLogPath);
+        mkdirp.sync(frequencyLogPath);
+      });
+
+      afterEach(function (done) {
+        tk.reset();
+        if (!transport) {
+          return done();
+        }
+        transport.close(done);
+        transport = null;
+      });
+
+      function create(options) {
+        transport = new DailyRotateFile(Object.assign({
+          filename: path.join(frequencyLogPath, 'frequency.log'),
+          utc: true
+        }, options));
+        return transport;
+      }
+
+      it('should name files after the start of their period and rotate at the next boundary', function () {
+        tk.travel(new Date(1861956450000)); // GMT: Mon, 01 Jan 2029 10:07:30 GMT
+        create({datePattern: '.yyyy-MM-ddTHH-mm', frequency: '15m'});
+        expect(transport.getFormattedDate()).to.equal('.2029-01-01T10-00');
+
+        tk.travel(new Date(1861956899000)); // GMT: Mon, 01 Jan 2029 10:14:59 GMT
+        expect(transport._filenameHasExpired()).to.be.false;
+        tk.travel(new Date(1861956900000)); // GMT: Mon, 01 Jan 2029 10:15:00 GMT
+        expect(transport._filenameHasExpired()).to.be.true;
+      });
+
+      it('should align periods to midnight or to the epoch', function () {
+        tk.travel(new Date(1862004600000)); // GMT: Mon, 01 Jan 2029 23:30:00 GMT
+        expect(create({datePattern: '.yyyy-MM-ddTHH', frequency: '7h'}).getFormattedDate()).to.equal('.2029-01-01T21');
+        transport.close();
+        expect(create({datePattern: '.yyyy-MM-ddTHH', frequency: '7h', frequencyAlign: 'epoch'}).getFormattedDate())
+          .to.equal('.2029-01-01T23');
+      });
+
+      it('should reject invalid frequencies', function () {
+        expect(function () {
+          create({frequency: 'often'});
+        }).to.throw(/Invalid frequency/);
+        expect(function () {
+          create({frequency: '1h', frequencyAlign: 'noon'});
+        }).to.throw(/Unknown frequencyAlign/);
+      });
+
+      it('should count files when the datePattern is coarser than the frequency', function (done) {
+        tk.travel(new Date(1861947160000)); // GMT: Mon, 01 Jan 2029 07:32:40 GMT
+        create({frequency: '1h'});
+        transport.on('rotate', function (oldFilename, newFilename, reason) {
+          expect(path.basename(oldFilename)).to.equal('frequency.log.2029-01-01');
+          expect(path.basename(newFilename)).to.equal('frequency.log.2029-01-01.1');
+          expect(reason).to.equal('date');
+          expect(fs.readFileSync(oldFilename, 'utf8')).to.contain('seven');
+          done();
+        });
+
+        transport.log('info', 'seven', {}, function () {
+          tk.travel(new Date(1861950760000)); // GMT: Mon, 01 Jan 2029 08:32:40 GMT
+          transport.log('info', 'eight', {}, function () {});
+        });
+      });
+
+      it('should cover the whole period when parsing a filename', function () {
+        create({datePattern: '.yyyy-MM-ddTHH-mm', frequency: '6h'});
+        var file = transport._parseFilename('frequency.log.2029-01-01T06-00');
+        expect(file.start.toISOString()).to.equal('2029-01-01T06:00:00.000Z');
+        expect(file.end.toISOString()).to.equal('2029-01-01T12:00:00.000Z');
+      });
+    });
+
+    describe('with a filename template', function () {
+      var templateLogPath = path.join(fixturesDir, 'template');
+      var transport;
+
+      beforeEach(function () {
+        tk.travel(new Date(1861947160000)); // GMT: Mon, 01 Jan 2029 07:32:40 GMT
+        rimraf.sync(templateLogPath);
+        mkdirp.sync(templateLogPath);
+      });
+
+      afterEach(function () {
+        tk.reset();
+      });
+
+      function create(filename, options) {
+        transport = new DailyRotateFile(Object.assign({
+          filename: path.join(templateLogPath, filename),
+          utc: true
+        }, options));
+        return transport;
+      }
+
+      it('should keep the extension and put the counter in front of it', function () {
+        create('app-%DATE%.log');
+        expect(transport._getFilename()).to.equal('app-2029-01-01.log');
+        expect(transport._getFilename(2)).to.equal('app-2029-01-01.2.log');
+      });
+
+      it('should pad the counter and keep it on the first file if asked to', function () {
+        create('app_%DATE%_%N.log', {counterWidth: 3, omitFirstCounter: false, datePattern: 'yyyyMMdd'});
+        expect(transport._getFilename()).to.equal('app_20290101_000.log');
+        expect(transport._getFilename(12)).to.equal('app_20290101_012.log');
+      });
+
+      it('should parse names written with the template only', function () {
+        create('app-%DATE%.%N.log', {counterWidth: 3});
+        var file = transport._parseFilename('app-2029-01-01.002.log.gz');
+        expect(file.counter).to.equal(2);
+        expect(file.archived).to.be.true;
+        expect(file.start.toISOString()).to.equal('2029-01-01T00:00:00.000Z');
+        expect(transport._parseFilename('app-2029-01-01.log').counter).to.equal(0);
+        expect(transport._parseFilename('app.log.2029-01-01')).to.be.null;
+      });
+
+      it('should name the audit manifest and symlink without the placeholders', function () {
+        create('app-%DATE%.%N.log', {auditFile: true, createSymlink: true});
+        expect(transport.auditFile).to.equal(path.join(templateLogPath, '.app.log-audit.json'));
+        expect(transport.symlinkName).to.equal('app.current.log');
+      });
+
+      it('should not allow the counter before the date', function () {
+        expect(function () {
+          create('%N-app-%DATE%.log');
+        }).to.throw(/Cannot put %N before %DATE%/);
+      });
+
+      it('should carry on with the highest counter of the current date', function (done) {
+        ['app-2029-01-01.log', 'app-2029-01-01.3.log', 'app-2028-12-31.7.log', 'other-2029-01-01.9.log'].forEach(function (name) {
+          fs.writeFileSync(path.join(templateLogPath, name), 'old\n');
+        });
+        create('app-%DATE%.log', {maxFiles: 10});
+        transport.log('info', 'message', {}, function () {
+          expect(transport.filename).to.equal('app-2029-01-01.3.log');
+          transport.close();
+          done();
+        });
+      });
+    });
+
+    describe('with date tokens in dirname', function () {
+      var nestedLogPath = path.join(fixturesDir, 'nested');
+      var transport;
+
+      function line(message, timestamp) {
+        return JSON.stringify({level: 'info', message: message, timestamp: timestamp}) + '\n';
+      }
+
+      function writeFile(name, content) {
+        mkdirp.sync(path.dirname(path.join(nestedLogPath, name)));
+        fs.writeFileSync(path.join(nestedLogPath, name), content);
+      }
+
+      beforeEach(function () {
+        tk.travel(new Date(1861947160000)); // GMT: Mon, 01 Jan 2029 07:32:40 GMT
+        rimraf.sync(nestedLogPath);
+        mkdirp.sync(nestedLogPath);
+      });
+
+      afterEach(function () {
+        tk.reset();
+      });
+
+      function create(options) {
+        transport = new DailyRotateFile(Object.assign({
+          filename: path.join(nestedLogPath, 'yyyy', 'MM-dd', 'nested.log'),
+          datePattern: '.HH',
+          datedDirname: true,
+          utc: true
+        }, options));
+        return transport;
+      }
+
+      it('should leave dirname alone unless datedDirname is set', function () {
+        ['s3', 'd', 'h2', 'D', 'yyyy'].forEach(function (name) {
+          var dirname = path.join(nestedLogPath, name);
+          transport = new DailyRotateFile({dirname: dirname, datePattern: '.HH', utc: true});
+          expect(transport.dirname).to.equal(dirname);
+          expect(transport._getFilename()).to.equal('winston.log.07');
+        });
+      });
+
+      it('should leave ordinary directories alone with datedDirname', function () {
+        var filename = path.join(nestedLogPath, 's3', 'yyyy', 'app.log');
+        create({filename: filename});
+        expect(transport.dirname).to.equal(path.join(nestedLogPath, 's3'));
+        expect(transport._getFilename()).to.equal('2029/app.log.07');
+      });
+
+      it('should keep the static part as dirname and put the dated directories in the filename', function () {
+        create();
+        expect(transport.dirname).to.equal(nestedLogPath);
+        expect(transport._getFilename()).to.equal('2029/01-01/nested.log.07');
+        expect(transport._parseFilename('2029/01-01/nested.log.07.2').start.toISOString())
+          .to.equal('2029-01-01T07:00:00.000Z');
+        expect(transport._parseFilename('2029/01-01/other.log.07')).to.be.null;
+      });
+
+      it('should rotate when a token of dirname changes', function () {
+        create({datePattern: '\'.log\''});
+        expect(transport._filenameHasExpired()).to.be.false;
+        tk.travel(new Date(1862033560000)); // GMT: Tue, 02 Jan 2029 07:32:40 GMT
+        expect(transport._filenameHasExpired()).to.be.true;
+      });
+
+      it('should create the directories of new files', function (done) {
+        create();
+        transport.once('open', function (filename) {
+          expect(filename).to.equal(path.join(nestedLogPath, '2029', '01-01', 'nested.log.07'));
+          expect(fs.readFileSync(filename, 'utf8')).to.contain('nested message');
+          transport.close();
+          done();
+        });
+        transport.log('info', 'nested message', {}, function () {});
+      });
+
+      it('should stream from a directory which does not exist yet', function (done) {
+        var stream = create().stream({interval: 10});
+        stream.on('error', done);
+        stream.on('log', function (log) {
+          expect(log.message).to.equal('streamed message');
+          stream.destroy();
+          transport.close(done);
+        });
+        transport.log('info', 'streamed message', {}, function () {});
+      });
+
+      it('should query the files of all directories', function (done) {
+        writeFile('2028/12-31/nested.log.23', line('first', '2028-12-31T23:10:00.000Z'));
+        writeFile('2029/01-01/nested.log.00', line('second', '2029-01-01T00:10:00.000Z'));
+        writeFile('2029/01-01/other.log.00', line('other', '2029-01-01T00:20:00.000Z'));
+        create().query({
+          from: new Date('2028-12-31T00:00:00.000Z'),
+          until: new Date('2029-01-01T12:00:00.000Z'),
+          order: 'asc'
+        }, function (err, results) {
+          expect(err).to.be.null;
+          expect(results.map(function (log) {
+            return log.message;
+          })).to.eql(['first', 'second']);
+          done();
+        });
+      });
+
+      it('should remove directories emptied by retention', function (done) {
+        writeFile('2028/12-30/nested.log.10', 'old\n');
+        writeFile('2028/12-31/nested.log.10', 'newer\n');
+        writeFile('2029/01-01/nested.log.06', 'newest\n');
+        fs.utimesSync(path.join(nestedLogPath, '2028/12-30/nested.log.10'), new Date(0), new Date(0));
+
+        create({maxFiles: 3});
+        transport.on('logRemoved', function (filename) {
+          expect(filename).to.equal(path.join(nestedLogPath, '2028', '12-30', 'nested.log.10'));
+          setTimeout(function () {
+            expect(fs.readdirSync(path.join(nestedLogPath, '2028'))).to.eql(['12-31']);
+            done();
+          }, 50);
+        });
+        transport._unlinkOldFiles();
+      });
+    });
+
+    describe('with utc and timezone options', function () {
+      afterEach(function () {
+        tk.reset();
+      });
+
+      it('should not allow utc and timezone together', function () {
+        expect(function () {
+          return new DailyRotateFile({
+            filename: path.join(fixturesDir, 'zoned.log'),
+            utc: true,
+            timezone: 'Europe/Berlin'
+          });
+        }).to.throw(/utc and timezone/);
+      });
+
+      it('should reject an unknown timezone', function () {
+        expect(function () {
+          return new DailyRotateFile({
+            filename: path.join(fixturesDir, 'zoned.log'),
+            timezone: 'Nowhere/Special'
+          });
+        }).to.throw(RangeError);
+      });
+
+      it('should stamp the filename with the UTC date when utc is true', function () {
+        tk.travel(new Date(1862004760000)); // GMT: Mon, 01 Jan 2029 23:32:40 GMT
+        var transport = new DailyRotateFile({
+          filename: path.join(fixturesDir, 'zoned.log'),
+          datePattern: '.yyyy-MM-dd-HH',
+          utc: true
+        });
+
+        expect(transport._getFilename()).to.equal('zoned.log.2029-01-01-23');
+      });
+
+      it('should stamp the filename with the date in the given timezone', function () {
+        tk.travel(new Date(1862004760000)); // GMT: Mon, 01 Jan 2029 23:32:40 GMT
+        var berlin = new DailyRotateFile({
+          filename: path.join(fixturesDir, 'zoned.log'),
+          datePattern: '.yyyy-MM-dd-HH',
+          timezone: 'Europe/Berlin'
+        });
+        var newYork = new DailyRotateFile({
+          filename: path.join(fixturesDir, 'zoned.log'),
+          datePattern: '.yyyy-MM-dd-HH',
+          timezone: 'America/New_York'
+        });
+
+        expect(berlin._getFilename()).to.equal('zoned.log.2029-01-02-00');
+        expect(newYork._getFilename()).to.equal('zoned.log.2029-01-01-18');
+      });
+
+      it('should expire the file at midnight in the given timezone', function () {
+        tk.travel(new Date(1861973940000)); // GMT: Mon, 01 Jan 2029 14:59:00 GMT
+        var transport = new DailyRotateFile({
+          filename: path.join(fixturesDir, 'zoned.log'),
+          timezone: 'Asia/Tokyo'
+        });
+
+        expect(transport._getFilename()).to.equal('zoned.log.2029-01-01');
+        tk.travel(new Date(1861974000000)); // GMT: Mon, 01 Jan 2029 15:00:00 GMT
+        expect(transport._filenameHasExpired()).to.be.true;
+      });
+    });
+
     Object.keys(transports).forEach(function (t) {
       describe('when passed a valid ' + t, function () {
         var transport;
@@ -168,163 +615,2124 @@ describe('winston/transports/daily-rotate-file', function () {
       });
     });
 
-    describe('when passed an valid filename with different date patterns for log rotation', function () {
-      // patterns having one start timestamp for which log file will be creted,
-      // then one mid timestamp for which log file should not be rotated,
-      // and finally one end timestamp for which log file should be rotated and
-      // new logfile should be created.
-      var patterns = {
-        'full year pattern .yyyy': {
-          pattern: '.yyyy',
-          start: 1861947160000, // GMT: Mon, 01 Jan 2029 07:32:40 GMT
-          mid: 1874993560000, // GMT: Fri, 01 Jun 2029 07:32:40 GMT
-          end: 1893483160000, // GMT: Tue, 01 Jan 2030 07:32:40 GMT
-          oldfile: 'test-rotation.log.2029',
-          newfile: 'test-rotation.log.2030'
-        },
-        'small year pattern .yy': {
-          pattern: '.yy',
-          start: 1861947160000, // GMT: Mon, 01 Jan 2029 07:32:40 GMT
-          mid: 1874993560000, // GMT: Fri, 01 Jun 2029 07:32:40 GMT
-          end: 1893483160000, // GMT: Tue, 01 Jan 2030 07:32:40 GMT
-          oldfile: 'test-rotation.log.29',
-          newfile: 'test-rotation.log.30'
-        },
-        'month pattern .M': {
-          pattern: '.M',
-          start: 1861947160000, // GMT: Mon, 01 Jan 2029 07:32:40 GMT
-          mid: 1863156760000, // GMT: Mon, 15 Jan 2029 07:32:40 GMT
-          end: 1864625560000, // GMT: Thu, 01 Feb 2029 07:32:40 GMT
-          oldfile: 'test-rotation.log.1',
-          newfile: 'test-rotation.log.2'
-        },
-        'zero padded month pattern .MM': {
-          pattern: '.MM',
-          start: 1861947160000, // GMT: Mon, 01 Jan 2029 07:32:40 GMT
-          mid: 1863156760000, // GMT: Mon, 15 Jan 2029 07:32:40 GMT
-          end: 1864625560000, // GMT: Thu, 01 Feb 2029 07:32:40 GMT
-          oldfile: 'test-rotation.log.01',
-          newfile: 'test-rotation.log.02'
-        },
-        'daypattern .d': {
-          pattern: '.d',
-          start: 1861947160000, // GMT: Mon, 01 Jan 2029 07:32:40 GMT
-          mid: 1861986760000, // GMT: Mon, 01 Jan 2029 18:32:40 GMT
-          end: 1863156760000, // GMT: Mon, 15 Jan 2029 07:32:40 GMT
-          oldfile: 'test-rotation.log.1',
-          newfile: 'test-rotation.log.15'
-        },
-        'zero padded day pattern .dd': {
-          pattern: '.dd',
-          start: 1861947160000, // GMT: Mon, 01 Jan 2029 07:32:40 GMT
-          mid: 1861986760000, // GMT: Mon, 01 Jan 2029 18:32:40 GMT
-          end: 1863156760000, // GMT: Mon, 15 Jan 2029 07:32:40 GMT
-          oldfile: 'test-rotation.log.01',
-          newfile: 'test-rotation.log.15'
-        },
-        'hour pattern .H': {
-          pattern: '.H',
-          start: 1861947160000, // GMT: Mon, 01 Jan 2029 07:32:40 GMT
-          mid: 1861947760000, // GMT: Mon, 01 Jan 2029 07:42:40 GMT
-          end: 1861950760000, // GMT: Mon, 01 Jan 2029 08:32:40 GMT
-          oldfile: 'test-rotation.log.7',
-          newfile: 'test-rotation.log.8'
-        },
-        'zero padded hour pattern .HH': {
-          pattern: '.HH',
-          start: 1861947160000, // GMT: Mon, 01 Jan 2029 07:32:40 GMT
-          mid: 1861947760000, // GMT: Mon, 01 Jan 2029 07:42:40 GMT
-          end: 1861950760000, // GMT: Mon, 01 Jan 2029 08:32:40 GMT
-          oldfile: 'test-rotation.log.07',
-          newfile: 'test-rotation.log.08'
-        },
-        'minute pattern .m': {
-          pattern: '.m',
-          start: 1861947160000, // GMT: Mon, 01 Jan 2029 07:32:50 GMT
-          mid: 1861947170000, // GMT: Mon, 01 Jan 2029 07:32:50 GMT
-          end: 1861947760000, // GMT: Mon, 01 Jan 2029 07:42:40 GMT
-          oldfile: 'test-rotation.log.32',
-          newfile: 'test-rotation.log.42'
-        },
-        'zero padded minute pattern .mm': {
-          pattern: '.mm',
-          start: 1861947160000, // GMT: Mon, 01 Jan 2029 07:32:50 GMT
-          mid: 1861947170000, // GMT: Mon, 01 Jan 2029 07:32:50 GMT
-          end: 1861947760000, // GMT: Mon, 01 Jan 2029 07:42:40 GMT
-          oldfile: 'test-rotation.log.32',
-          newfile: 'test-rotation.log.42'
-        },
-        'daily rotation pattern .yyyy-MM-dd': {
-          pattern: '.yyyy-MM-dd',
-          start: 1861947160000, // GMT: Mon, 01 Jan 2029 07:32:40 GMT
-          mid: 1861965828000, // GMT: Mon, 01 Jan 2029 12:43:48 GMT
-          end: 1863156760000, // GMT: Mon, 15 Jan 2029 07:32:40 GMT
-          oldfile: 'test-rotation.log.2029-01-01',
-          newfile: 'test-rotation.log.2029-01-15'
-        }
-      };
-      Object.keys(patterns).forEach(function (pattern) {
-        describe('when passed the pattern ' + pattern, function () {
-          var transport;
-          var rotationLogPath = path.join(fixturesDir, 'rotations');
+    describe('when the log directory comes back', function () {
+      var recoveryLogPath = path.join(fixturesDir, 'recovery');
 
-          beforeEach(function (done) {
-            this.time = new Date(patterns[pattern].start);
-            tk.travel(this.time);
-            rimraf.sync(rotationLogPath);
-            mkdirp.sync(rotationLogPath);
-            transport = new DailyRotateFile({
-              filename: path.join(rotationLogPath, 'test-rotation.log'),
-              datePattern: patterns[pattern].pattern
-            });
+      beforeEach(function () {
+        rimraf.sync(recoveryLogPath);
+      });
 
-            done();
-          });
+      it('should recover from the failed state and write the buffered messages', function (done) {
+        var transport = new DailyRotateFile({
+          filename: path.join(recoveryLogPath, 'recovery.log'),
+          recoveryDelay: 10
+        });
+        var attempts = [];
 
-          afterEach(function () {
+        transport.on('error', function () {
+          transport.log('info', 'while recovering', {}, function (err, logged) {
+            expect(err).to.be.null;
+            expect(logged).to.be.true;
+          });
+        });
+        transport.on('recovering', function (attempt, delay) {
+          attempts.push(attempt);
+          expect(delay).to.be.at.most(10 * Math.pow(2, attempt - 1));
+          if (attempt === 2) {
+            mkdirp.sync(recoveryLogPath);
+          }
+        });
+        transport.on('recovered', function (filename) {
+          expect(attempts).to.eql([1, 2]);
+          expect(transport._failures).to.equal(0);
+          expect(fs.readFileSync(filename, 'utf8')).to.contain('while recovering');
+          transport.close(done);
+        });
+
+        transport.log('info', 'before failing', {}, function () {});
+      });
+
+      it('should forget an error once a write succeeds again', function (done) {
+        mkdirp.sync(recoveryLogPath);
+        var transport = new DailyRotateFile({
+          filename: path.join(recoveryLogPath, 'recovery.log'),
+          maxRetries: 1,
+          durability: 'interval',
+          recover: false
+        });
+
+        function reopen(callback) {
+          transport._stream.emit('error', new Error('transient'));
+          transport.once('open', function () {
+            var stream = transport._stream;
+            if (!stream.pending) {
+              return callback();
+            }
+            stream.once('open', function () {
+              callback();
+            });
+          });
+        }
+
+        transport.on('error', done);
+        transport.log('info', 'first', {}, function () {
+          reopen(function () {
+            expect(transport._failures).to.equal(1);
+            transport.log('info', 'second', {}, function () {
+              expect(transport._failures).to.equal(0);
+              reopen(function () {
+                transport.log('info', 'third', {}, function (err, logged) {
+                  expect(err).to.be.null;
+                  expect(logged).to.be.true;
+                  transport.close(done);
+                });
+              });
+            });
+          });
+        });
+      });
+
+      it('should not forget an error because a file could be opened again', function (done) {
+        mkdirp.sync(recoveryLogPath);
+        var transport = new DailyRotateFile({
+          filename: path.join(recoveryLogPath, 'recovery.log'),
+          maxRetries: 1,
+          recover: false
+        });
+
+        transport.on('error', function (err) {
+          expect(err.message).to.equal('second');
+          transport.log('info', 'lost', {}, function (err) {
+            expect(err.message).to.equal('Transport is in a failed state.');
+            done();
+          });
+        });
+        transport.once('open', function () {
+          transport._stream.emit('error', new Error('first'));
+          transport.once('open', function () {
+            transport._stream.emit('error', new Error('second'));
+          });
+        });
+        transport.log('info', 'first', {}, function () {});
+      });
+
+      it('should go through the failed state when writes keep failing', function (done) {
+        if (!fs.existsSync('/dev/full')) {
+          return this.skip();
+        }
+
+        mkdirp.sync(recoveryLogPath);
+        var transport = new DailyRotateFile({
+          filename: path.join(recoveryLogPath, 'recovery.log'),
+          recoveryDelay: 10
+        });
+        var opened = 0;
+        var errors = 0;
+
+        fs.symlinkSync('/dev/full', path.join(recoveryLogPath, transport._getFile()));
+        transport.on('error', function () {
+          errors++;
+        });
+        transport.on('recovered', function () {
+          done(new Error('should not recover'));
+        });
+        transport.on('open', function () {
+          opened++;
+          transport.log('info', 'message', {}, function () {});
+        });
+        transport.on('recovering', function (attempt) {
+          if (attempt === 3) {
+            expect(opened).to.be.above(transport.maxRetries + 1);
+            expect(errors).to.equal(1);
+            transport.removeAllListeners('open');
+            transport.close(done);
+          }
+        });
+
+        transport.log('info', 'message', {}, function () {});
+      });
+
+      it('should stay in the failed state when recover is false', function (done) {
+        var transport = new DailyRotateFile({
+          filename: path.join(recoveryLogPath, 'recovery.log'),
+          recover: false
+        });
+
+        transport.on('recovering', function () {
+          done(new Error('should not try to recover'));
+        });
+        transport.on('error', function () {
+          transport.log('info', 'lost', {}, function (err) {
+            expect(err.message).to.equal('Transport is in a failed state.');
+            done();
+          });
+        });
+
+        transport.log('info', 'test message');
+      });
+    });
+
+    describe('when coordinating several processes', function () {
+      var sharedLogPath = path.join(fixturesDir, 'shared');
+      var lockFile = path.join(sharedLogPath, '.shared.log.lock');
+      var created;
+
+      function createTransport(options) {
+        var transport = new DailyRotateFile(Object.assign({
+          filename: path.join(sharedLogPath, 'shared.log'),
+          coordinate: true,
+          lockInterval: 20,
+          json: false
+        }, options));
+        created.push(transport);
+        return transport;
+      }
+
+      function readLock() {
+        return JSON.parse(fs.readFileSync(lockFile, 'utf8'));
+      }
+
+      beforeEach(function () {
+        created = [];
+        rimraf.sync(sharedLogPath);
+        mkdirp.sync(sharedLogPath);
+      });
+
+      afterEach(function () {
+        created.forEach(function (transport) {
+          transport.close();
+        });
+      });
+
+      it('should not allow files to be opened other than in append mode', function () {
+        expect(function () {
+          createTransport({options: {flags: 'w'}});
+        }).to.throw(/'a' flag/);
+      });
+
+      it('should let the primary rotate the files and the others follow it', function (done) {
+        var primary = createTransport({maxsize: 200});
+        var follower = createTransport({maxsize: 200});
+
+        primary.once('open', function () {
+          follower.once('open', function (filename) {
+            expect(primary._primary).to.be.true;
+            expect(follower._primary).to.be.false;
+            expect(filename).to.equal(path.join(sharedLogPath, primary.filename));
+            expect(readLock().file).to.equal(primary.filename);
+
+            follower.on('rotate', function (oldFile, newFile, reason) {
+              expect(reason).to.equal('size');
+              expect(newFile).to.equal(path.join(sharedLogPath, primary.filename));
+              expect(newFile).to.match(/\.1$/);
+              follower.once('open', function () {
+                var lines = fs.readFileSync(oldFile, 'utf8').trim().split('\n');
+                expect(lines).to.have.length(8);
+                lines.forEach(function (line) {
+                  expect(line).to.match(/info: (first|line \d)$/);
+                });
+                expect(fs.readFileSync(newFile, 'utf8')).to.contain('after rotation');
+                done();
+              });
+              follower.log('info', 'after rotation', {}, function () {});
+            });
+
+            for (var i = 1; i < 7; i++) {
+              follower.log('info', 'line ' + i, {}, function () {});
+            }
+          });
+          follower.log('info', 'line 0', {}, function () {});
+        });
+
+        primary.log('info', 'first', {}, function () {});
+      });
+
+      it('should hand a file on only once it has stopped growing', function (done) {
+        var transport = createTransport();
+        var file = path.join(sharedLogPath, 'shared.log.old');
+        var start = Date.now();
+        var appended = 0;
+
+        fs.writeFileSync(file, 'first\n');
+        var timer = setInterval(function () {
+          fs.appendFileSync(file, 'late\n');
+          if (++appended === 5) {
+            clearInterval(timer);
+          }
+        }, 10);
+
+        transport._whenQuiet(file, function () {
+          expect(appended).to.equal(5);
+          expect(Date.now() - start).to.be.at.least(2 * transport.lockInterval);
+          done();
+        });
+      });
+
+      it('should take over the lock of a process which has exited', function (done) {
+        fs.writeFileSync(lockFile, JSON.stringify({pid: 99999999, id: 'gone', file: 'shared.log.2017-01-01'}));
+        var transport = createTransport();
+
+        transport.on('primary', function (filename) {
+          expect(filename).to.equal(lockFile);
+          transport.once('open', function () {
+            setTimeout(function () {
+              var lock = readLock();
+              expect(lock.pid).to.equal(process.pid);
+              expect(lock.file).to.equal(transport.filename);
+              done();
+            }, 20);
+          });
+        });
+
+        transport.log('info', 'message', {}, function () {});
+      });
+
+      it('should leave a lock alone which replaced the stale one', function (done) {
+        fs.writeFileSync(lockFile, JSON.stringify({pid: process.pid, id: 'other'}));
+        var transport = createTransport();
+
+        transport._takeOverLock({pid: 99999999, id: 'gone'}, function (err, lock) {
+          expect(err).to.be.null;
+          expect(lock.id).to.equal('other');
+          expect(transport._primary).to.not.be.true;
+          expect(readLock().id).to.equal('other');
+          expect(fs.readdirSync(sharedLogPath)).to.eql(['.shared.log.lock']);
+          done();
+        });
+      });
+
+      it('should let only one of several processes take over a stale lock', function (done) {
+        this.timeout(10000);
+        fs.writeFileSync(lockFile, JSON.stringify({pid: 99999999, id: 'gone'}));
+        var script = [
+          'var DailyRotateFile = require(' + JSON.stringify(path.join(__dirname, '..')) + ');',
+          'var transport = new DailyRotateFile({filename: ' + JSON.stringify(path.join(sharedLogPath, 'shared.log')) +
+            ', coordinate: true, lockInterval: 20});',
+          'transport.log("info", "message", {}, function () {});',
+          'setTimeout(function () {',
+          '  console.log(JSON.stringify({primary: transport._primary, id: transport._lockId}));',
+          '  transport.close();',
+          '}, 500);'
+        ].join('\n');
+
+        var results = [];
+        function run() {
+          childProcess.execFile(process.execPath, ['-e', script], function (err, stdout) {
+            expect(err).to.be.null;
+            results.push(JSON.parse(stdout));
+            if (results.length < 2) {
+              return;
+            }
+
+            var primaries = results.filter(function (result) {
+              return result.primary;
+            });
+            expect(primaries).to.have.length(1);
+            done();
+          });
+        }
+
+        run();
+        run();
+      });
+
+      it('should hand the lock over when the primary is closed', function (done) {
+        var primary = createTransport();
+        var follower = createTransport();
+
+        primary.once('open', function () {
+          follower.once('open', function () {
+            follower.on('primary', function () {
+              expect(readLock().id).to.equal(follower._lockId);
+              done();
+            });
+            primary.close();
+          });
+          follower.log('info', 'follower', {}, function () {});
+        });
+
+        primary.log('info', 'primary', {}, function () {});
+      });
+    });
+
+    describe('when passed an valid filename with different date patterns for log rotation', function () {
+      // patterns having one start timestamp for which log file will be creted,
+      // then one mid timestamp for which log file should not be rotated,
+      // and finally one end timestamp for which log file should be rotated and
+      // new logfile should be created.
+      var patterns = {
+        'full year pattern .yyyy': {
+          pattern: '.yyyy',
+          start: 1861947160000, // GMT: Mon, 01 Jan 2029 07:32:40 GMT
+          mid: 1874993560000, // GMT: Fri, 01 Jun 2029 07:32:40 GMT
+          end: 1893483160000, // GMT: Tue, 01 Jan 2030 07:32:40 GMT
+          oldfile: 'test-rotation.log.2029',
+          newfile: 'test-rotation.log.2030'
+        },
+        'small year pattern .yy': {
+          pattern: '.yy',
+          start: 1861947160000, // GMT: Mon, 01 Jan 2029 07:32:40 GMT
+          mid: 1874993560000, // GMT: Fri, 01 Jun 2029 07:32:40 GMT
+          end: 1893483160000, // GMT: Tue, 01 Jan 2030 07:32:40 GMT
+          oldfile: 'test-rotation.log.29',
+          newfile: 'test-rotation.log.30'
+        },
+        'month pattern .M': {
+          pattern: '.M',
+          start: 1861947160000, // GMT: Mon, 01 Jan 2029 07:32:40 GMT
+          mid: 1863156760000, // GMT: Mon, 15 Jan 2029 07:32:40 GMT
+          end: 1864625560000, // GMT: Thu, 01 Feb 2029 07:32:40 GMT
+          oldfile: 'test-rotation.log.1',
+          newfile: 'test-rotation.log.2'
+        },
+        'zero padded month pattern .MM': {
+          pattern: '.MM',
+          start: 1861947160000, // GMT: Mon, 01 Jan 2029 07:32:40 GMT
+          mid: 1863156760000, // GMT: Mon, 15 Jan 2029 07:32:40 GMT
+          end: 1864625560000, // GMT: Thu, 01 Feb 2029 07:32:40 GMT
+          oldfile: 'test-rotation.log.01',
+          newfile: 'test-rotation.log.02'
+        },
+        'daypattern .d': {
+          pattern: '.d',
+          start: 1861947160000, // GMT: Mon, 01 Jan 2029 07:32:40 GMT
+          mid: 1861986760000, // GMT: Mon, 01 Jan 2029 18:32:40 GMT
+          end: 1863156760000, // GMT: Mon, 15 Jan 2029 07:32:40 GMT
+          oldfile: 'test-rotation.log.1',
+          newfile: 'test-rotation.log.15'
+        },
+        'zero padded day pattern .dd': {
+          pattern: '.dd',
+          start: 1861947160000, // GMT: Mon, 01 Jan 2029 07:32:40 GMT
+          mid: 1861986760000, // GMT: Mon, 01 Jan 2029 18:32:40 GMT
+          end: 1863156760000, // GMT: Mon, 15 Jan 2029 07:32:40 GMT
+          oldfile: 'test-rotation.log.01',
+          newfile: 'test-rotation.log.15'
+        },
+        'hour pattern .H': {
+          pattern: '.H',
+          start: 1861947160000, // GMT: Mon, 01 Jan 2029 07:32:40 GMT
+          mid: 1861947760000, // GMT: Mon, 01 Jan 2029 07:42:40 GMT
+          end: 1861950760000, // GMT: Mon, 01 Jan 2029 08:32:40 GMT
+          oldfile: 'test-rotation.log.7',
+          newfile: 'test-rotation.log.8'
+        },
+        'zero padded hour pattern .HH': {
+          pattern: '.HH',
+          start: 1861947160000, // GMT: Mon, 01 Jan 2029 07:32:40 GMT
+          mid: 1861947760000, // GMT: Mon, 01 Jan 2029 07:42:40 GMT
+          end: 1861950760000, // GMT: Mon, 01 Jan 2029 08:32:40 GMT
+          oldfile: 'test-rotation.log.07',
+          newfile: 'test-rotation.log.08'
+        },
+        'minute pattern .m': {
+          pattern: '.m',
+          start: 1861947160000, // GMT: Mon, 01 Jan 2029 07:32:50 GMT
+          mid: 1861947170000, // GMT: Mon, 01 Jan 2029 07:32:50 GMT
+          end: 1861947760000, // GMT: Mon, 01 Jan 2029 07:42:40 GMT
+          oldfile: 'test-rotation.log.32',
+          newfile: 'test-rotation.log.42'
+        },
+        'zero padded minute pattern .mm': {
+          pattern: '.mm',
+          start: 1861947160000, // GMT: Mon, 01 Jan 2029 07:32:50 GMT
+          mid: 1861947170000, // GMT: Mon, 01 Jan 2029 07:32:50 GMT
+          end: 1861947760000, // GMT: Mon, 01 Jan 2029 07:42:40 GMT
+          oldfile: 'test-rotation.log.32',
+          newfile: 'test-rotation.log.42'
+        },
+        'daily rotation pattern .yyyy-MM-dd': {
+          pattern: '.yyyy-MM-dd',
+          start: 1861947160000, // GMT: Mon, 01 Jan 2029 07:32:40 GMT
+          mid: 1861965828000, // GMT: Mon, 01 Jan 2029 12:43:48 GMT
+          end: 1863156760000, // GMT: Mon, 15 Jan 2029 07:32:40 GMT
+          oldfile: 'test-rotation.log.2029-01-01',
+          newfile: 'test-rotation.log.2029-01-15'
+        }
+      };
+      Object.keys(patterns).forEach(function (pattern) {
+        describe('when passed the pattern ' + pattern, function () {
+          var transport;
+          var rotationLogPath = path.join(fixturesDir, 'rotations');
+
+          beforeEach(function (done) {
+            this.time = new Date(patterns[pattern].start);
+            tk.travel(this.time);
+            rimraf.sync(rotationLogPath);
+            mkdirp.sync(rotationLogPath);
+            transport = new DailyRotateFile({
+              filename: path.join(rotationLogPath, 'test-rotation.log'),
+              datePattern: patterns[pattern].pattern
+            });
+
+            done();
+          });
+
+          afterEach(function () {
             tk.reset();
           });
 
-          it('should create log with proper timestamp', function (done) {
-            var self = this;
+          it('should create log with proper timestamp', function (done) {
+            var self = this;
+
+            transport.log('error', 'test message', {}, function (err) {
+              if (err) {
+                done(err);
+              }
+
+              var filesCreated = fs.readdirSync(rotationLogPath);
+              expect(filesCreated.length).to.eql(1);
+              expect(filesCreated).to.include(patterns[pattern].oldfile);
+              self.time = new Date(patterns[pattern].mid);
+              tk.travel(self.time);
+              transport.log('error', '2nd test message', {}, function (err) {
+                if (err) {
+                  done(err);
+                }
+
+                filesCreated = fs.readdirSync(rotationLogPath);
+                expect(filesCreated.length).to.eql(1);
+                expect(filesCreated).to.include(patterns[pattern].oldfile);
+                self.time = new Date(patterns[pattern].end);
+                tk.travel(self.time);
+                transport.log('error', '3rd test message', {}, function (err) {
+                  if (err) {
+                    done(err);
+                  }
+
+                  filesCreated = fs.readdirSync(rotationLogPath);
+                  expect(filesCreated.length).to.eql(2);
+                  expect(filesCreated).to.include(patterns[pattern].newfile);
+                  transport.close();
+
+                  done();
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+
+    describe('when querying', function () {
+      var transport;
+      var queryLogPath = path.join(fixturesDir, 'query');
+
+      function line(message, timestamp) {
+        return JSON.stringify({level: 'info', message: message, timestamp: timestamp}) + '\n';
+      }
+
+      beforeEach(function () {
+        rimraf.sync(queryLogPath);
+        mkdirp.sync(queryLogPath);
+        fs.writeFileSync(path.join(queryLogPath, 'query.log.2028-12-01'),
+          line('outside by name', '2029-01-01T12:00:00.000Z'));
+        fs.writeFileSync(path.join(queryLogPath, 'query.log.2029-01-01'),
+          line('first', '2029-01-01T01:00:00.000Z') + line('third', '2029-01-01T03:00:00.000Z'));
+        fs.writeFileSync(path.join(queryLogPath, 'query.log.2029-01-01.1'),
+          line('second', '2029-01-01T02:00:00.000Z') + line('fourth', '2029-01-01T04:00:00.000Z'));
+        fs.writeFileSync(path.join(queryLogPath, 'query.log.2029-01-02.gz'),
+          zlib.gzipSync(line('fifth', '2029-01-02T01:00:00.000Z') + line('too late', '2029-01-03T01:00:00.000Z')));
+        fs.writeFileSync(path.join(queryLogPath, 'other.log.2029-01-01'),
+          line('other transport', '2029-01-01T05:00:00.000Z'));
+
+        transport = new DailyRotateFile({
+          filename: path.join(queryLogPath, 'query.log'),
+          utc: true
+        });
+      });
+
+      it('should merge rotated and archived files in timestamp order', function (done) {
+        transport.query({
+          from: new Date('2029-01-01T00:00:00.000Z'),
+          until: new Date('2029-01-02T12:00:00.000Z'),
+          order: 'asc',
+          rows: 100
+        }, function (err, results) {
+          expect(err).to.be.null;
+          expect(results.map(function (log) {
+            return log.message;
+          })).to.eql(['first', 'second', 'third', 'fourth', 'fifth']);
+          done();
+        });
+      });
+
+      it('should apply start, rows, order and fields to the merged results', function (done) {
+        transport.query({
+          from: new Date('2029-01-01T00:00:00.000Z'),
+          until: new Date('2029-01-02T12:00:00.000Z'),
+          order: 'desc',
+          start: 1,
+          rows: 2,
+          fields: ['message']
+        }, function (err, results) {
+          expect(err).to.be.null;
+          expect(results).to.eql([{message: 'fourth'}, {message: 'third'}]);
+          done();
+        });
+      });
+
+      it('should skip an archive which cannot be read to the end', function (done) {
+        var unreadable = [];
+        fs.writeFileSync(path.join(queryLogPath, 'query.log.2029-01-02.gz'),
+          zlib.gzipSync(line('fifth', '2029-01-02T01:00:00.000Z')).slice(0, 20));
+        transport.on('unreadable', function (filename, err) {
+          expect(err).to.be.instanceOf(Error);
+          unreadable.push(path.basename(filename));
+        });
+        transport.query({
+          from: new Date('2029-01-01T00:00:00.000Z'),
+          until: new Date('2029-01-02T12:00:00.000Z'),
+          order: 'asc'
+        }, function (err, results) {
+          expect(err).to.be.null;
+          expect(unreadable).to.eql(['query.log.2029-01-02.gz']);
+          expect(results.map(function (log) {
+            return log.message;
+          })).to.eql(['first', 'second', 'third', 'fourth']);
+          done();
+        });
+      });
+
+      it('should parse the period of a filename back out of it', function () {
+        var file = transport._parseFilename('query.log.2029-01-01.3.gz');
+        expect(file.start.toISOString()).to.equal('2029-01-01T00:00:00.000Z');
+        expect(file.end.toISOString()).to.equal('2029-01-02T00:00:00.000Z');
+        expect(file.counter).to.equal(3);
+        expect(file.archived).to.be.true;
+        expect(transport._parseFilename('query.log.2029-01-01.swp')).to.be.null;
+      });
+    });
+
+    describe('when streaming', function () {
+      var transport;
+      var stream;
+      var streamLogPath = path.join(fixturesDir, 'stream');
+
+      beforeEach(function () {
+        tk.travel(new Date(1861947160000)); // GMT: Mon, 01 Jan 2029 07:32:40 GMT
+        rimraf.sync(streamLogPath);
+        mkdirp.sync(streamLogPath);
+      });
+
+      afterEach(function () {
+        stream.destroy();
+        transport.close();
+        tk.reset();
+      });
+
+      function follow(options, expected, done) {
+        var messages = [];
+        var rotations = [];
+
+        transport = new DailyRotateFile(options);
+        stream = transport.stream({interval: 20});
+        stream.on('rotate', function (oldFile, newFile) {
+          rotations.push([path.basename(oldFile), path.basename(newFile)]);
+        });
+        stream.on('log', function (log) {
+          messages.push(log.message);
+          if (messages.length === expected.messages.length) {
+            expect(messages).to.eql(expected.messages);
+            expect(rotations).to.eql(expected.rotations);
+            done();
+          }
+        });
+      }
+
+      it('should follow the log to the next date', function (done) {
+        follow({
+          filename: path.join(streamLogPath, 'stream.log'),
+          utc: true
+        }, {
+          messages: ['first', 'second', 'third'],
+          rotations: [['stream.log.2029-01-01', 'stream.log.2029-01-02']]
+        }, done);
+
+        transport.log('info', 'first', {}, function () {
+          transport.log('info', 'second', {}, function () {
+            tk.travel(new Date(1862033560000)); // GMT: Tue, 02 Jan 2029 07:32:40 GMT
+            transport.log('info', 'third', {}, function () {});
+          });
+        });
+      });
+
+      it('should follow the log past a maxsize rollover', function (done) {
+        follow({
+          filename: path.join(streamLogPath, 'stream.log'),
+          utc: true,
+          maxsize: 100
+        }, {
+          messages: ['first message with more than 100 bytes data', 'second', 'third'],
+          rotations: [['stream.log.2029-01-01', 'stream.log.2029-01-01.1']]
+        }, done);
+
+        transport.log('info', 'first message with more than 100 bytes data', {}, function () {
+          transport.log('info', 'second', {}, function () {
+            transport.log('info', 'third', {}, function () {});
+          });
+        });
+      });
+    });
+
+    describe('with an audit manifest', function () {
+      var auditLogPath = path.join(fixturesDir, 'audit');
+      var auditFile = path.join(auditLogPath, '.audit.log-audit.json');
+
+      beforeEach(function () {
+        tk.travel(new Date(1861947160000)); // GMT: Mon, 01 Jan 2029 07:32:40 GMT
+        rimraf.sync(auditLogPath);
+        mkdirp.sync(auditLogPath);
+      });
+
+      afterEach(function () {
+        tk.reset();
+      });
+
+      after(function () {
+        rimraf.sync(auditLogPath);
+      });
+
+      function writeManifest(files) {
+        fs.writeFileSync(auditFile, JSON.stringify({files: files}));
+      }
+
+      function waitForManifest(test, done) {
+        var manifest;
+        try {
+          manifest = JSON.parse(fs.readFileSync(auditFile, 'utf8'));
+        } catch (e) {}
+
+        if (manifest && test(manifest)) {
+          return done(manifest);
+        }
+
+        setTimeout(waitForManifest, 10, test, done);
+      }
+
+      it('should record created and closed files with their size and hash', function (done) {
+        var transport = new DailyRotateFile({
+          filename: path.join(auditLogPath, 'audit.log'),
+          auditFile: true,
+          utc: true
+        });
+
+        transport.log('info', 'first', {}, function () {
+          tk.travel(new Date(1862033560000)); // GMT: Tue, 02 Jan 2029 07:32:40 GMT
+          transport.log('info', 'second', {}, function () {
+            waitForManifest(function (manifest) {
+              return manifest.files.length === 2 && manifest.files[0].hash;
+            }, function (manifest) {
+              var first = manifest.files[0];
+              var content = fs.readFileSync(path.join(auditLogPath, 'audit.log.2029-01-01'));
+              expect(first.name).to.equal('audit.log.2029-01-01');
+              expect(first.created).to.be.a('string');
+              expect(first.closed).to.be.a('string');
+              expect(first.size).to.equal(content.length);
+              expect(first.hash).to.equal(require('crypto').createHash('sha256').update(content).digest('hex'));
+              expect(manifest.files[1].name).to.equal('audit.log.2029-01-02');
+              expect(manifest.files[1].closed).to.be.null;
+              transport.close(done);
+            });
+          });
+        });
+      });
+
+      it('should record the current file as closed on close', function (done) {
+        var transport = new DailyRotateFile({
+          filename: path.join(auditLogPath, 'audit.log'),
+          auditFile: true,
+          utc: true
+        });
+
+        transport.log('info', 'last', {}, function () {
+          transport.close(function () {
+            var entry = JSON.parse(fs.readFileSync(auditFile, 'utf8')).files[0];
+            var content = fs.readFileSync(path.join(auditLogPath, 'audit.log.2029-01-01'));
+            expect(entry.name).to.equal('audit.log.2029-01-01');
+            expect(entry.closed).to.be.a('string');
+            expect(entry.size).to.equal(content.length);
+            expect(entry.hash).to.equal(require('crypto').createHash('sha256').update(content).digest('hex'));
+            done();
+          });
+        });
+      });
+
+      it('should query only the files listed in the manifest', function (done) {
+        var line = JSON.stringify({level: 'info', message: 'listed', timestamp: '2029-01-01T07:00:00.000Z'});
+        fs.writeFileSync(path.join(auditLogPath, 'audit.log.2029-01-01'), line + '\n');
+        fs.writeFileSync(path.join(auditLogPath, 'audit.log.2029-01-01.1'), line.replace('listed', 'unlisted') + '\n');
+        writeManifest([{name: 'audit.log.2029-01-01', created: '2029-01-01T00:00:00.000Z'}]);
+
+        var transport = new DailyRotateFile({
+          filename: path.join(auditLogPath, 'audit.log'),
+          auditFile: true,
+          utc: true
+        });
+
+        transport.query({from: new Date('2029-01-01T00:00:00.000Z')}, function (err, results) {
+          expect(err).to.be.null;
+          expect(results.map(function (log) {
+            return log.message;
+          })).to.eql(['listed']);
+          done();
+        });
+      });
+
+      it('should start the manifest with the files already there', function (done) {
+        for (var day = 22; day <= 31; day++) {
+          var name = path.join(auditLogPath, 'audit.log.2028-12-' + day);
+          var time = new Date('2028-12-' + day + 'T12:00:00.000Z');
+          fs.writeFileSync(name, JSON.stringify({level: 'info', message: 'day ' + day, timestamp: time}) + '\n');
+          fs.utimesSync(name, time, time);
+        }
+
+        var transport = new DailyRotateFile({
+          filename: path.join(auditLogPath, 'audit.log'),
+          auditFile: true,
+          maxFiles: 3,
+          utc: true
+        });
+
+        transport.query({from: new Date('2028-12-30T00:00:00.000Z'), order: 'asc'}, function (err, results) {
+          expect(err).to.be.null;
+          expect(results.map(function (log) {
+            return log.message;
+          })).to.eql(['day 30', 'day 31']);
+
+          transport.log('info', 'current', {}, function () {
+            transport.close(function () {
+              var manifest = JSON.parse(fs.readFileSync(auditFile, 'utf8'));
+              expect(fs.readdirSync(auditLogPath).sort()).to.eql([
+                '.audit.log-audit.json',
+                'audit.log.2028-12-30',
+                'audit.log.2028-12-31',
+                'audit.log.2029-01-01'
+              ]);
+              expect(manifest.files.length).to.equal(11);
+              expect(manifest.files[0].name).to.equal('audit.log.2028-12-22');
+              expect(manifest.files[0].closed).to.equal('2028-12-22T12:00:00.000Z');
+              expect(manifest.files[0].deleted).to.be.a('string');
+              done();
+            });
+          });
+        });
+      });
+
+      it('should recover the size rotation counter from the manifest', function (done) {
+        writeManifest([
+          {name: 'audit.log.2028-12-31.7', created: '2028-12-31T00:00:00.000Z'},
+          {name: 'audit.log.2029-01-01', created: '2029-01-01T00:00:00.000Z'},
+          {name: 'audit.log.2029-01-01.2', created: '2029-01-01T01:00:00.000Z'}
+        ]);
+
+        var transport = new DailyRotateFile({
+          filename: path.join(auditLogPath, 'audit.log'),
+          auditFile: true,
+          utc: true
+        });
+
+        transport._initialFileCount(function () {
+          expect(transport._created).to.equal(2);
+          done();
+        });
+      });
+
+      it('should record files deleted by retention', function (done) {
+        writeManifest([
+          {name: 'audit.log.2028-12-30', created: '2028-12-30T00:00:00.000Z', closed: '2028-12-31T00:00:00.000Z'},
+          {name: 'audit.log.2028-12-31', created: '2028-12-31T00:00:00.000Z', closed: '2029-01-01T00:00:00.000Z'}
+        ]);
+        fs.writeFileSync(path.join(auditLogPath, 'audit.log.2028-12-30'), 'old\n');
+        fs.writeFileSync(path.join(auditLogPath, 'audit.log.2028-12-31'), 'new\n');
+
+        var transport = new DailyRotateFile({
+          filename: path.join(auditLogPath, 'audit.log'),
+          auditFile: true,
+          olderThan: '1d',
+          utc: true
+        });
+
+        transport._unlinkOldFiles();
+        waitForManifest(function (manifest) {
+          return manifest.files[0].deleted;
+        }, function (manifest) {
+          expect(manifest.files[1].deleted).to.be.undefined;
+          expect(fs.readdirSync(auditLogPath)).not.to.include('audit.log.2028-12-30');
+          done();
+        });
+      });
+    });
+
+    describe('with retention policies', function () {
+      var retentionLogPath = path.join(fixturesDir, 'retention');
+
+      beforeEach(function () {
+        rimraf.sync(retentionLogPath);
+        mkdirp.sync(retentionLogPath);
+      });
+
+      function createFiles(files) {
+        Object.keys(files).forEach(function (name) {
+          var file = path.join(retentionLogPath, name);
+          var mtime = new Date(Date.now() - (files[name].age * 3600000));
+          fs.writeFileSync(file, new Array(files[name].size + 1).join('x'));
+          fs.utimesSync(file, mtime, mtime);
+        });
+      }
+
+      function waitForFiles(count, done) {
+        var files = fs.readdirSync(retentionLogPath);
+        if (files.length <= count) {
+          return done(files);
+        }
+
+        setTimeout(waitForFiles, 10, count, done);
+      }
+
+      it('should only consider files named after the filename template', function (done) {
+        createFiles({
+          'app-2029-01-01.log': {size: 10, age: 3},
+          'app-2029-01-02.log': {size: 10, age: 2},
+          'app-2029-01-02.1.log': {size: 10, age: 1},
+          'app.log': {size: 10, age: 4},
+          'app-notes.log': {size: 10, age: 5}
+        });
+
+        var transport = new DailyRotateFile({
+          filename: path.join(retentionLogPath, 'app-%DATE%.log'),
+          maxFiles: 3
+        });
+
+        transport._unlinkOldFiles();
+        waitForFiles(4, function (files) {
+          expect(files).to.eql(['app-2029-01-02.1.log', 'app-2029-01-02.log', 'app-notes.log', 'app.log']);
+          done();
+        });
+      });
+
+      it('should order files by the period and counter in their name', function (done) {
+        createFiles({
+          'retention.log.2029-01-01': {size: 10, age: 1},
+          'retention.log.2029-01-02': {size: 10, age: 2},
+          'retention.log.2029-01-02.1': {size: 10, age: 3},
+          'retention.log.2029-01-03': {size: 10, age: 4}
+        });
+
+        var transport = new DailyRotateFile({
+          filename: path.join(retentionLogPath, 'retention.log'),
+          maxFiles: 3
+        });
+
+        transport._unlinkOldFiles();
+        waitForFiles(2, function (files) {
+          expect(files).to.eql(['retention.log.2029-01-02.1', 'retention.log.2029-01-03']);
+          done();
+        });
+      });
+
+      it('should expire files by the end of the period in their name', function (done) {
+        var files = {};
+        [5, 3, 1, 0].forEach(function (days, i) {
+          files['retention.log.' + moment().subtract(days, 'days').format('YYYY-MM-DD')] = {size: 10, age: 100 - i};
+        });
+        createFiles(files);
+
+        var transport = new DailyRotateFile({
+          filename: path.join(retentionLogPath, 'retention.log'),
+          olderThan: '2d'
+        });
+
+        transport._unlinkOldFiles(function (err) {
+          expect(err).to.be.null;
+          expect(fs.readdirSync(retentionLogPath)).to.eql(Object.keys(files).slice(2));
+          done();
+        });
+      });
+
+      it('should reject an unknown retentionBy', function () {
+        expect(function () {
+          return new DailyRotateFile({
+            filename: path.join(retentionLogPath, 'retention.log'),
+            retentionBy: 'ctime'
+          });
+        }).to.throw(/retentionBy/);
+      });
+
+      it('should accept maxTotalSize as a size string', function () {
+        var transport = new DailyRotateFile({
+          filename: path.join(retentionLogPath, 'retention.log'),
+          maxTotalSize: '2g'
+        });
+
+        expect(transport.maxTotalSize).to.equal(2 * 1024 * 1024 * 1024);
+        expect(function () {
+          return new DailyRotateFile({
+            filename: path.join(retentionLogPath, 'retention.log'),
+            maxTotalSize: 'lots'
+          });
+        }).to.throw(/Invalid size/);
+      });
+
+      it('should delete the oldest files once maxTotalSize is exceeded', function (done) {
+        createFiles({
+          'retention.log.2029-01-01': {size: 400, age: 3},
+          'retention.log.2029-01-02': {size: 400, age: 2},
+          'retention.log.2029-01-03': {size: 400, age: 1}
+        });
+
+        var transport = new DailyRotateFile({
+          filename: path.join(retentionLogPath, 'retention.log'),
+          maxTotalSize: '1k'
+        });
+
+        var removed = [];
+        transport.on('logRemoved', function (filename, policy) {
+          removed.push([path.basename(filename), policy]);
+        });
+
+        transport._unlinkOldFiles();
+        waitForFiles(2, function (files) {
+          expect(files).to.eql(['retention.log.2029-01-02', 'retention.log.2029-01-03']);
+          expect(removed).to.eql([['retention.log.2029-01-01', 'maxTotalSize']]);
+          done();
+        });
+      });
+
+      it('should apply maxFiles and olderThan together by mtime when asked to', function (done) {
+        createFiles({
+          'retention.log.2029-01-01': {size: 10, age: 50},
+          'retention.log.2029-01-02': {size: 10, age: 30},
+          'retention.log.2029-01-03': {size: 10, age: 26},
+          'retention.log.2029-01-04': {size: 10, age: 1}
+        });
+
+        var transport = new DailyRotateFile({
+          filename: path.join(retentionLogPath, 'retention.log'),
+          maxFiles: 3,
+          olderThan: '1d',
+          retentionBy: 'mtime'
+        });
+
+        transport._unlinkOldFiles();
+        waitForFiles(1, function (files) {
+          expect(files).to.eql(['retention.log.2029-01-04']);
+          done();
+        });
+      });
+    });
+
+    describe('lifecycle events', function () {
+      var eventsLogPath = path.join(fixturesDir, 'events');
+      var transport;
+      var events;
+
+      beforeEach(function () {
+        tk.travel(new Date(1861947160000)); // GMT: Mon, 01 Jan 2029 07:32:40 GMT
+        rimraf.sync(eventsLogPath);
+        mkdirp.sync(eventsLogPath);
+        events = [];
+      });
+
+      afterEach(function () {
+        transport.close();
+        tk.reset();
+      });
+
+      function listen(options) {
+        transport = new DailyRotateFile(options);
+        transport.on('new', function (filename) {
+          events.push(['new', path.basename(filename)]);
+        });
+        transport.on('rotate', function (oldFilename, newFilename, reason) {
+          events.push(['rotate', path.basename(oldFilename), path.basename(newFilename), reason]);
+        });
+      }
+
+      it('should emit new and rotate when the date changes', function (done) {
+        listen({
+          filename: path.join(eventsLogPath, 'events.log'),
+          utc: true
+        });
+
+        transport.log('info', 'first', {}, function () {
+          tk.travel(new Date(1862033560000)); // GMT: Tue, 02 Jan 2029 07:32:40 GMT
+          transport.log('info', 'second', {}, function () {
+            expect(events).to.eql([
+              ['new', 'events.log.2029-01-01'],
+              ['new', 'events.log.2029-01-02'],
+              ['rotate', 'events.log.2029-01-01', 'events.log.2029-01-02', 'date']
+            ]);
+            done();
+          });
+        });
+      });
+
+      it('should emit rotate with the size reason when maxsize is reached', function (done) {
+        listen({
+          filename: path.join(eventsLogPath, 'events.log'),
+          maxsize: 100,
+          utc: true
+        });
+
+        transport.log('info', 'test message with more than 100 bytes data', {}, function () {
+          transport.log('info', 'second', {}, function () {
+            expect(events).to.eql([
+              ['new', 'events.log.2029-01-01'],
+              ['new', 'events.log.2029-01-01.1'],
+              ['rotate', 'events.log.2029-01-01', 'events.log.2029-01-01.1', 'size']
+            ]);
+            done();
+          });
+        });
+      });
+    });
+
+    describe('when closing', function () {
+      var closeLogPath = path.join(fixturesDir, 'close');
+
+      beforeEach(function () {
+        rimraf.sync(closeLogPath);
+        mkdirp.sync(closeLogPath);
+      });
+
+      afterEach(function () {
+        tk.reset();
+      });
+
+      it('should resolve once buffered messages are written and the file is closed', function () {
+        var transport = new DailyRotateFile({
+          filename: path.join(closeLogPath, 'close.log'),
+          datePattern: '.yyyy-MM-dd'
+        });
+
+        for (var i = 0; i < 20; i++) {
+          transport.log('info', 'buffered ' + i, {}, function () {});
+        }
+
+        return transport.close().then(function () {
+          var content = fs.readFileSync(path.join(closeLogPath, 'close.log.' + moment().format('YYYY-MM-DD')), 'utf8');
+          expect(content.split('\n').filter(Boolean)).to.have.length(20);
+          expect(transport._stream.closed || transport._stream.destroyed).to.be.true;
+        });
+      });
+
+      it('should leave a stream passed in open', function () {
+        var output = new PassThrough();
+        var transport = new DailyRotateFile({stream: output});
+
+        transport.log('info', 'streamed', {}, function () {});
+        return transport.close().then(function () {
+          expect(output.read().toString()).to.contain('streamed');
+          expect(output.writable).to.be.true;
+        });
+      });
+
+      it('should wait for archives still being written', function (done) {
+        tk.travel(new Date(1861947160000)); // GMT: Mon, 01 Jan 2029 07:32:40 GMT
+        var transport = new DailyRotateFile({
+          filename: path.join(closeLogPath, 'close.log'),
+          zippedArchive: true,
+          utc: true
+        });
+
+        transport.log('info', 'archived message', {}, function () {
+          tk.travel(new Date(1862033560000)); // GMT: Tue, 02 Jan 2029 07:32:40 GMT
+          transport.log('info', 'current message', {}, function () {
+            transport.close(function () {
+              expect(fs.readdirSync(closeLogPath).sort()).to.eql(['close.log.2029-01-01.gz', 'close.log.2029-01-02']);
+              done();
+            });
+          });
+        });
+      });
+
+      it('should close on SIGTERM before the process exits', function (done) {
+        var filename = path.join(closeLogPath, 'signal.log');
+        var script = [
+          'var DailyRotateFile = require(' + JSON.stringify(path.join(__dirname, '..')) + ');',
+          'var transport = new DailyRotateFile({filename: ' + JSON.stringify(filename) + ', handleSignals: true});',
+          'for (var i = 0; i < 20; i++) transport.log("info", "message " + i, {}, function () {});',
+          'process.kill(process.pid, "SIGTERM");',
+          'setTimeout(function () {}, 5000);'
+        ].join('\n');
+
+        childProcess.execFile(process.execPath, ['-e', script], function (err) {
+          expect(err.signal).to.equal('SIGTERM');
+          var name = fs.readdirSync(closeLogPath)[0];
+          var content = fs.readFileSync(path.join(closeLogPath, name), 'utf8');
+          expect(content.split('\n').filter(Boolean)).to.have.length(20);
+          done();
+        });
+      });
+    });
+
+    describe('with durability', function () {
+      var durableLogPath = path.join(fixturesDir, 'durable');
+      var fsync = fs.fsync;
+      var synced;
+      var transport;
+
+      beforeEach(function () {
+        rimraf.sync(durableLogPath);
+        mkdirp.sync(durableLogPath);
+        synced = [];
+        fs.fsync = function (fd) {
+          synced.push(fd);
+          return fsync.apply(fs, arguments);
+        };
+      });
+
+      afterEach(function () {
+        fs.fsync = fsync;
+        if (transport.filename) {
+          transport.close();
+        }
+      });
+
+      it('should call back only once the line is written and fsynced in sync mode', function (done) {
+        transport = new DailyRotateFile({
+          filename: path.join(durableLogPath, 'durable.log'),
+          durability: 'sync'
+        });
+
+        transport.log('info', 'durable message', {}, function (err, logged) {
+          expect(err).to.be.null;
+          expect(logged).to.be.true;
+          expect(synced).to.eql([transport._stream.fd]);
+          expect(fs.readFileSync(path.join(durableLogPath, transport.filename), 'utf8')).to.contain('durable message');
+          done();
+        });
+      });
+
+      it('should fsync the current file every fsyncInterval in interval mode', function (done) {
+        transport = new DailyRotateFile({
+          filename: path.join(durableLogPath, 'durable.log'),
+          durability: 'interval',
+          fsyncInterval: 10
+        });
+
+        transport.log('info', 'message', {}, function (err) {
+          expect(err).to.be.null;
+          (function wait() {
+            if (synced.length) {
+              expect(synced[0]).to.equal(transport._stream.fd);
+              return done();
+            }
+
+            setTimeout(wait, 5);
+          })();
+        });
+      });
+
+      it('should pass write errors to the callback of the message', function (done) {
+        var stream = new MemoryStream();
+        stream._write = function (chunk, encoding, callback) {
+          callback(new Error('disk full'));
+        };
+        transport = new DailyRotateFile({stream: stream, durability: 'sync'});
+        transport.on('error', function () {});
+
+        transport.log('info', 'lost message', {}, function (err) {
+          expect(err.message).to.equal('disk full');
+          done();
+        });
+      });
+    });
+
+    describe('with a bounded buffer', function () {
+      var bufferLogPath = path.join(fixturesDir, 'buffer');
+
+      beforeEach(function () {
+        rimraf.sync(bufferLogPath);
+        mkdirp.sync(bufferLogPath);
+      });
+
+      //
+      // Logs `messages` while the transport is busy opening a file,
+      // so that all of them end up in the buffer.
+      //
+      function buffer(options, messages) {
+        options.filename = path.join(bufferLogPath, 'buffer.log');
+        var transport = new DailyRotateFile(options);
+        transport.results = [];
+        transport.drops = [];
+        transport.on('dropped', function (count, total) {
+          transport.drops.push([count, total]);
+        });
+        transport.opening = true;
+        messages.forEach(function (message) {
+          transport.log('info', message, {}, function (err, logged) {
+            transport.results.push([message, err, logged]);
+          });
+        });
+        return transport;
+      }
+
+      function buffered(transport) {
+        return transport._buffer.map(function (item) {
+          return JSON.parse(item[0]).message;
+        });
+      }
+
+      it('should drop the oldest messages with drop-oldest', function () {
+        var transport = buffer({maxBufferedMessages: 2}, ['one', 'two', 'three']);
+        expect(buffered(transport)).to.eql(['two', 'three']);
+        expect(transport.results).to.eql([['one', null, false]]);
+        expect(transport.drops).to.eql([[1, 1]]);
+      });
+
+      it('should drop the incoming message with drop-newest', function () {
+        var transport = buffer({maxBufferedMessages: 2, bufferOverflow: 'drop-newest'}, ['one', 'two', 'three', 'four']);
+        expect(buffered(transport)).to.eql(['one', 'two']);
+        expect(transport.drops).to.eql([[1, 1], [1, 2]]);
+      });
+
+      it('should limit the buffer by size with maxBufferedBytes', function () {
+        var transport = buffer({maxBufferedBytes: '100b', bufferOverflow: 'drop-newest'}, ['one', 'two', 'three']);
+        expect(transport._bufferedBytes).to.be.at.most(100);
+        expect(buffered(transport).length).to.be.below(3);
+      });
+
+      it('should keep every message and delay its callback with block', function () {
+        var transport = buffer({maxBufferedMessages: 2, bufferOverflow: 'block'}, ['one', 'two', 'three']);
+        expect(buffered(transport)).to.eql(['one', 'two', 'three']);
+        expect(transport.results).to.eql([]);
+      });
+
+      it('should append the overflow to spillFile with spill', function (done) {
+        var spillFile = path.join(bufferLogPath, 'spill.log');
+        var transport = buffer({maxBufferedMessages: 1, bufferOverflow: 'spill', spillFile: spillFile}, ['one', 'two']);
+        expect(buffered(transport)).to.eql(['one']);
+        (function wait() {
+          if (transport.results.length) {
+            expect(transport.results).to.eql([['two', null, true]]);
+            expect(fs.readFileSync(spillFile, 'utf8')).to.contain('two');
+            return done();
+          }
+
+          setTimeout(wait, 5);
+        })();
+      });
+
+      it('should require spillFile with spill', function () {
+        expect(function () {
+          return new DailyRotateFile({
+            filename: path.join(bufferLogPath, 'buffer.log'),
+            bufferOverflow: 'spill'
+          });
+        }).to.throw(/spillFile/);
+      });
+    });
+
+    describe('with onRotate', function () {
+      var hookLogPath = path.join(fixturesDir, 'hook');
+      var transport;
+
+      beforeEach(function () {
+        tk.travel(new Date(1861947160000)); // GMT: Mon, 01 Jan 2029 07:32:40 GMT
+        rimraf.sync(hookLogPath);
+        mkdirp.sync(hookLogPath);
+      });
+
+      afterEach(function () {
+        transport.close();
+        tk.reset();
+      });
+
+      function rotate(options) {
+        options.filename = path.join(hookLogPath, 'hook.log');
+        options.utc = true;
+        transport = new DailyRotateFile(options);
+        transport.log('info', 'first', {}, function () {
+          tk.travel(new Date(1862033560000)); // GMT: Tue, 02 Jan 2029 07:32:40 GMT
+          transport.log('info', 'second', {}, function () {});
+        });
+      }
+
+      it('should call the hook with the closed file and its metadata', function (done) {
+        rotate({
+          onRotate: function (filename, info) {
+            expect(filename).to.equal(path.join(hookLogPath, 'hook.log.2029-01-01'));
+            expect(info.next).to.equal(path.join(hookLogPath, 'hook.log.2029-01-02'));
+            expect(info.reason).to.equal('date');
+            expect(info.closed).to.be.instanceOf(Date);
+            expect(info.size).to.equal(fs.statSync(filename).size);
+            expect(fs.readFileSync(filename, 'utf8')).to.contain('first');
+            done();
+          }
+        });
+      });
+
+      it('should wait for the callback of the hook before archiving', function (done) {
+        var finished = false;
+        rotate({
+          zippedArchive: true,
+          onRotate: function (filename, info, callback) {
+            setTimeout(function () {
+              finished = true;
+              callback();
+            }, 20);
+          }
+        });
+
+        transport.on('archive', function () {
+          expect(finished).to.be.true;
+          done();
+        });
+      });
+
+      it('should spawn a command with the closed file as last argument', function (done) {
+        rotate({
+          onRotate: [process.execPath, '-e',
+            'require("fs").writeFileSync(process.argv[1] + ".done", process.env.ROTATE_REASON)']
+        });
+
+        (function wait() {
+          var marker = path.join(hookLogPath, 'hook.log.2029-01-01.done');
+          if (fs.existsSync(marker) && fs.readFileSync(marker, 'utf8')) {
+            expect(fs.readFileSync(marker, 'utf8')).to.equal('date');
+            return done();
+          }
+
+          setTimeout(wait, 10);
+        })();
+      });
+
+      it('should hand failures of the hook to onRotateError', function (done) {
+        rotate({
+          onRotate: function () {
+            return Promise.reject(new Error('upload failed'));
+          },
+          onRotateError: function (err, filename) {
+            expect(err.message).to.equal('upload failed');
+            expect(filename).to.equal(path.join(hookLogPath, 'hook.log.2029-01-01'));
+            done();
+          }
+        });
+      });
+    });
+
+    describe('with createSymlink', function () {
+      var symlinkLogPath = path.join(fixturesDir, 'symlink');
+      var transport;
+
+      beforeEach(function () {
+        tk.travel(new Date(1861947160000)); // GMT: Mon, 01 Jan 2029 07:32:40 GMT
+        rimraf.sync(symlinkLogPath);
+        mkdirp.sync(symlinkLogPath);
+      });
+
+      afterEach(function () {
+        transport.close();
+        tk.reset();
+      });
+
+      function waitForLink(link, target, done) {
+        var current;
+        try {
+          current = fs.readlinkSync(link);
+        } catch (e) {}
+
+        if (current === target) {
+          return done();
+        }
+
+        setTimeout(waitForLink, 10, link, target, done);
+      }
+
+      it('should point the default symlink at the current file after each rotation', function (done) {
+        var link = path.join(symlinkLogPath, 'symlink.current.log');
+        transport = new DailyRotateFile({
+          filename: path.join(symlinkLogPath, 'symlink.log'),
+          createSymlink: true,
+          utc: true
+        });
+
+        transport.log('info', 'first', {}, function () {
+          waitForLink(link, 'symlink.log.2029-01-01', function () {
+            tk.travel(new Date(1862033560000)); // GMT: Tue, 02 Jan 2029 07:32:40 GMT
+            transport.log('info', 'second', {}, function () {
+              waitForLink(link, 'symlink.log.2029-01-02', function () {
+                expect(fs.readFileSync(link, 'utf8')).to.contain('second');
+                done();
+              });
+            });
+          });
+        });
+      });
+
+      it('should repair a stale symlink on startup', function (done) {
+        var link = path.join(symlinkLogPath, 'app.current');
+        fs.symlinkSync('symlink.log.2028-12-31', link);
+        transport = new DailyRotateFile({
+          filename: path.join(symlinkLogPath, 'symlink.log'),
+          createSymlink: true,
+          symlinkName: 'app.current',
+          utc: true
+        });
+
+        transport.log('info', 'first', {}, function () {
+          waitForLink(link, 'symlink.log.2029-01-01', done);
+        });
+      });
+    });
+
+    describe('with zippedArchive', function () {
+      var archiveLogPath = path.join(fixturesDir, 'archive');
+
+      beforeEach(function () {
+        tk.travel(new Date(1861947160000)); // GMT: Mon, 01 Jan 2029 07:32:40 GMT
+        rimraf.sync(archiveLogPath);
+        mkdirp.sync(archiveLogPath);
+      });
+
+      afterEach(function () {
+        tk.reset();
+      });
+
+      function rotate(options, done) {
+        var transport = new DailyRotateFile(options);
+        transport.on('archive', function (src, dest) {
+          transport.close();
+          done(src, dest);
+        });
+
+        transport.log('info', 'archived message', {}, function () {
+          tk.travel(new Date(1862033560000)); // GMT: Tue, 02 Jan 2029 07:32:40 GMT
+          transport.log('info', 'current message', {}, function () {});
+        });
+      }
+
+      it('should gzip the previous file once it is closed', function (done) {
+        rotate({
+          filename: path.join(archiveLogPath, 'archive.log'),
+          zippedArchive: true,
+          archiveLevel: 9,
+          utc: true
+        }, function (src, dest) {
+          expect(src).to.equal(path.join(archiveLogPath, 'archive.log.2029-01-01'));
+          expect(dest).to.equal(src + '.gz');
+          expect(fs.existsSync(src)).to.be.false;
+          expect(zlib.gunzipSync(fs.readFileSync(dest)).toString()).to.contain('archived message');
+          done();
+        });
+      });
+
+      it('should compress with brotli when asked to', function (done) {
+        rotate({
+          filename: path.join(archiveLogPath, 'archive.log'),
+          zippedArchive: true,
+          archiveFormat: 'brotli',
+          utc: true
+        }, function (src, dest) {
+          expect(dest).to.equal(src + '.br');
+          expect(fs.existsSync(src)).to.be.false;
+          expect(zlib.brotliDecompressSync(fs.readFileSync(dest)).toString()).to.contain('archived message');
+          done();
+        });
+      });
+
+      it('should reject an unknown archiveFormat', function () {
+        expect(function () {
+          return new DailyRotateFile({
+            filename: path.join(archiveLogPath, 'archive.log'),
+            zippedArchive: true,
+            archiveFormat: 'rar'
+          });
+        }).to.throw(/archiveFormat/);
+      });
+
+      it('should not leave a partial archive behind when archiving fails', function (done) {
+        var transport = new DailyRotateFile({
+          filename: path.join(archiveLogPath, 'archive.log'),
+          zippedArchive: true
+        });
+
+        transport._archiveFile(path.join(archiveLogPath, 'missing.log'), function (err) {
+          expect(err).to.be.instanceOf(Error);
+          expect(fs.readdirSync(archiveLogPath)).to.eql([]);
+          done();
+        });
+      });
+    });
+
+    describe('when starting after an interruption', function () {
+      var startupLogPath = path.join(fixturesDir, 'startup');
+      var content = JSON.stringify({level: 'info', message: 'left over'}) + '\n';
+      var repairs;
+
+      beforeEach(function () {
+        tk.travel(new Date(1862033560000)); // GMT: Tue, 02 Jan 2029 07:32:40 GMT
+        rimraf.sync(startupLogPath);
+        mkdirp.sync(startupLogPath);
+        repairs = [];
+      });
+
+      afterEach(function () {
+        tk.reset();
+      });
+
+      function file(name) {
+        return path.join(startupLogPath, name);
+      }
+
+      function start(options, done) {
+        var transport = new DailyRotateFile(Object.assign({
+          filename: file('startup.log'),
+          zippedArchive: true,
+          utc: true
+        }, options));
+        transport.on('repair', function (action, filename) {
+          repairs.push([action, path.basename(filename)]);
+        });
+        transport.log('info', 'current message', {}, function () {
+          transport.close(function () {
+            done(fs.readdirSync(startupLogPath).sort());
+          });
+        });
+      }
+
+      it('should archive files of earlier periods left uncompressed', function (done) {
+        fs.writeFileSync(file('startup.log.2029-01-01'), content);
+        start({}, function (files) {
+          expect(files).to.eql(['startup.log.2029-01-01.gz', 'startup.log.2029-01-02']);
+          expect(zlib.gunzipSync(fs.readFileSync(file('startup.log.2029-01-01.gz'))).toString()).to.equal(content);
+          expect(repairs).to.eql([['archive', 'startup.log.2029-01-01']]);
+          done();
+        });
+      });
 
-            transport.log('error', 'test message', {}, function (err) {
-              if (err) {
-                done(err);
-              }
+      it('should write partial archives again', function (done) {
+        fs.writeFileSync(file('startup.log.2029-01-01'), content);
+        fs.writeFileSync(file('startup.log.2029-01-01.gz'), zlib.gzipSync(content).slice(0, 10));
+        start({}, function (files) {
+          expect(files).to.eql(['startup.log.2029-01-01.gz', 'startup.log.2029-01-02']);
+          expect(zlib.gunzipSync(fs.readFileSync(file('startup.log.2029-01-01.gz'))).toString()).to.equal(content);
+          expect(repairs).to.eql([
+            ['removePartial', 'startup.log.2029-01-01.gz'],
+            ['archive', 'startup.log.2029-01-01']
+          ]);
+          done();
+        });
+      });
 
-              var filesCreated = fs.readdirSync(rotationLogPath);
-              expect(filesCreated.length).to.eql(1);
-              expect(filesCreated).to.include(patterns[pattern].oldfile);
-              self.time = new Date(patterns[pattern].mid);
-              tk.travel(self.time);
-              transport.log('error', '2nd test message', {}, function (err) {
-                if (err) {
-                  done(err);
-                }
+      it('should remove originals left next to a complete archive', function (done) {
+        fs.writeFileSync(file('startup.log.2029-01-01'), content);
+        fs.writeFileSync(file('startup.log.2029-01-01.gz'), zlib.gzipSync(content));
+        start({}, function (files) {
+          expect(files).to.eql(['startup.log.2029-01-01.gz', 'startup.log.2029-01-02']);
+          expect(repairs).to.eql([['removeOriginal', 'startup.log.2029-01-01']]);
+          done();
+        });
+      });
 
-                filesCreated = fs.readdirSync(rotationLogPath);
-                expect(filesCreated.length).to.eql(1);
-                expect(filesCreated).to.include(patterns[pattern].oldfile);
-                self.time = new Date(patterns[pattern].end);
-                tk.travel(self.time);
-                transport.log('error', '3rd test message', {}, function (err) {
-                  if (err) {
-                    done(err);
-                  }
+      it('should move corrupt archives without an original aside', function (done) {
+        fs.writeFileSync(file('startup.log.2028-12-31.gz'), zlib.gzipSync(content));
+        fs.writeFileSync(file('startup.log.2029-01-01.gz'), zlib.gzipSync(content).slice(0, 10));
+        start({}, function (files) {
+          expect(files).to.eql([
+            'startup.log.2028-12-31.gz',
+            'startup.log.2029-01-01.gz.corrupt',
+            'startup.log.2029-01-02'
+          ]);
+          expect(repairs).to.eql([['moveCorrupt', 'startup.log.2029-01-01.gz']]);
+          done();
+        });
+      });
 
-                  filesCreated = fs.readdirSync(rotationLogPath);
-                  expect(filesCreated.length).to.eql(2);
-                  expect(filesCreated).to.include(patterns[pattern].newfile);
-                  transport.close();
+      it('should leave the files of the current period alone', function (done) {
+        var full = new Array(200).join('x') + '\n';
+        fs.writeFileSync(file('startup.log.2029-01-02'), full);
+        fs.writeFileSync(file('startup.log.2029-01-02.1'), full);
+        fs.writeFileSync(file('startup.log.2029-01-02.2'), content);
+        start({maxsize: 200}, function (files) {
+          expect(files).to.eql(['startup.log.2029-01-02', 'startup.log.2029-01-02.1', 'startup.log.2029-01-02.2']);
+          expect(fs.readFileSync(file('startup.log.2029-01-02.2'), 'utf8')).to.match(/left over[\s\S]*current message/);
+          expect(repairs).to.eql([]);
+          done();
+        });
+      });
 
-                  done();
-                });
-              });
+      it('should apply retention once the leftovers are archived', function (done) {
+        ['2028-12-29', '2028-12-30', '2028-12-31'].forEach(function (date) {
+          fs.writeFileSync(file('startup.log.' + date + '.gz'), zlib.gzipSync(content));
+        });
+        fs.writeFileSync(file('startup.log.2029-01-01'), content);
+        start({maxFiles: 4}, function (files) {
+          expect(files).to.eql([
+            'startup.log.2028-12-30.gz',
+            'startup.log.2028-12-31.gz',
+            'startup.log.2029-01-01.gz',
+            'startup.log.2029-01-02'
+          ]);
+          done();
+        });
+      });
+
+      it('should keep exactly maxFiles files on startup', function (done) {
+        ['2028-12-30', '2028-12-31', '2029-01-01'].forEach(function (date) {
+          fs.writeFileSync(file('startup.log.' + date), content);
+        });
+        start({maxFiles: 4, zippedArchive: false}, function (files) {
+          expect(files).to.eql([
+            'startup.log.2028-12-30',
+            'startup.log.2028-12-31',
+            'startup.log.2029-01-01',
+            'startup.log.2029-01-02'
+          ]);
+          done();
+        });
+      });
+    });
+
+    describe('with encryption', function () {
+      var encryptedLogPath = path.join(fixturesDir, 'encrypted');
+      var keys = {
+        'key-1': Buffer.alloc(32, 1),
+        'key-2': Buffer.alloc(32, 2)
+      };
+      var currentKey;
+
+      function keyProvider(keyId, callback) {
+        var id = keyId || currentKey;
+        callback(keys[id] ? null : new Error('unknown key ' + id), {id: id, key: keys[id]});
+      }
+
+      function line(message, timestamp) {
+        return JSON.stringify({level: 'info', message: message, timestamp: timestamp}) + '\n';
+      }
+
+      function create(options) {
+        return new DailyRotateFile(Object.assign({
+          filename: path.join(encryptedLogPath, 'encrypted.log'),
+          keyProvider: keyProvider,
+          utc: true
+        }, options));
+      }
+
+      function archive(transport, name, message, done) {
+        var src = path.join(encryptedLogPath, name);
+        fs.writeFileSync(src, line(message, '2029-01-01T01:00:00.000Z'));
+        transport._archiveFile(src, function (err) {
+          expect(err).to.not.exist;
+          done();
+        });
+      }
+
+      beforeEach(function () {
+        currentKey = 'key-1';
+        rimraf.sync(encryptedLogPath);
+        mkdirp.sync(encryptedLogPath);
+      });
+
+      it('should compress and then encrypt archives with the current key', function (done) {
+        var transport = create({zippedArchive: true});
+        transport.on('archive', function (src, dest) {
+          expect(dest).to.equal(src + '.gz.enc');
+        });
+
+        archive(transport, 'encrypted.log.2029-01-01', 'secret message', function () {
+          var content = fs.readFileSync(path.join(encryptedLogPath, 'encrypted.log.2029-01-01.gz.enc'));
+          expect(content.slice(0, 8).toString()).to.equal('WDRFENC1');
+          expect(content.toString('utf8', 10, 10 + content.readUInt16BE(8))).to.equal('key-1');
+          expect(content.toString()).to.not.contain('secret');
+          expect(fs.existsSync(path.join(encryptedLogPath, 'encrypted.log.2029-01-01'))).to.be.false;
+          done();
+        });
+      });
+
+      it('should let query decrypt archives written with earlier keys', function (done) {
+        var transport = create();
+        archive(transport, 'encrypted.log.2029-01-01', 'first', function () {
+          currentKey = 'key-2';
+          archive(transport, 'encrypted.log.2029-01-01.1', 'second', function () {
+            create().query({
+              from: new Date('2029-01-01T00:00:00.000Z'),
+              until: new Date('2029-01-02T00:00:00.000Z')
+            }, function (err, results) {
+              expect(err).to.be.null;
+              expect(results.map(function (log) {
+                return log.message;
+              }).sort()).to.eql(['first', 'second']);
+              done();
+            });
+          });
+        });
+      });
+
+      it('should accept a key provider returning a promise', function (done) {
+        var transport = create({
+          keyProvider: function (keyId) {
+            return Promise.resolve({id: keyId || 'key-2', key: keys[keyId || 'key-2']});
+          }
+        });
+
+        archive(transport, 'encrypted.log.2029-01-01', 'promised', function () {
+          transport._readLogFile(path.join(encryptedLogPath, 'encrypted.log.2029-01-01.enc'), function (log) {
+            expect(log).to.contain('promised');
+          }, done);
+        });
+      });
+
+      it('should fail to read archives which have been tampered with', function (done) {
+        var transport = create();
+        archive(transport, 'encrypted.log.2029-01-01', 'tampered', function () {
+          var dest = path.join(encryptedLogPath, 'encrypted.log.2029-01-01.enc');
+          var content = fs.readFileSync(dest);
+          content[content.length - 20] ^= 1;
+          fs.writeFileSync(dest, content);
+          transport._readLogFile(dest, function () {}, function (err) {
+            expect(err).to.be.instanceOf(Error);
+            done();
+          });
+        });
+      });
+
+      it('should keep the original when no key can be had', function (done) {
+        var transport = create({
+          keyProvider: function (keyId, callback) {
+            callback(null, {id: 'short', key: Buffer.alloc(16)});
+          }
+        });
+        var src = path.join(encryptedLogPath, 'encrypted.log.2029-01-01');
+        fs.writeFileSync(src, 'kept\n');
+        transport._archiveFile(src, function (err) {
+          expect(err.message).to.match(/32 byte/);
+          expect(fs.readdirSync(encryptedLogPath)).to.eql(['encrypted.log.2029-01-01']);
+          done();
+        });
+      });
+    });
+
+    describe('with header and footer records', function () {
+      var recordLogPath = path.join(fixturesDir, 'records');
+
+      beforeEach(function () {
+        tk.travel(new Date(1861947160000)); // GMT: Mon, 01 Jan 2029 07:32:40 GMT
+        rimraf.sync(recordLogPath);
+        mkdirp.sync(recordLogPath);
+      });
+
+      afterEach(function () {
+        tk.reset();
+      });
+
+      function create(options) {
+        return new DailyRotateFile(Object.assign({
+          filename: path.join(recordLogPath, 'records.log'),
+          fileHeader: true,
+          fileFooter: true,
+          appVersion: '1.2.3',
+          utc: true
+        }, options));
+      }
+
+      function read(name) {
+        return fs.readFileSync(path.join(recordLogPath, name), 'utf8').split('\n').filter(Boolean).map(function (line) {
+          return JSON.parse(line);
+        });
+      }
+
+      function logOverTwoDays(transport, done) {
+        transport.log('info', 'first day', {}, function () {
+          tk.travel(new Date(1862033560000)); // GMT: Tue, 02 Jan 2029 07:32:40 GMT
+          transport.log('info', 'second day', {}, function () {
+            transport.close(done);
+          });
+        });
+      }
+
+      it('should write a header and a footer to every file', function (done) {
+        logOverTwoDays(create(), function () {
+          var first = read('records.log.2029-01-01');
+          expect(first.map(function (record) {
+            return record._dailyRotateFile || record.message;
+          })).to.eql(['header', 'first day', 'footer']);
+          expect(first[0]).to.include({hostname: os.hostname(), pid: process.pid, version: '1.2.3', previous: null});
+          expect(first[0].options.filename).to.equal(path.join(recordLogPath, 'records.log'));
+          expect(first[2]).to.include({lines: 1, reason: 'date'});
+
+          var content = fs.readFileSync(path.join(recordLogPath, 'records.log.2029-01-01'), 'utf8');
+          expect(first[2].bytes).to.equal(content.length - JSON.stringify(first[2]).length - 1);
+
+          var second = read('records.log.2029-01-02');
+          expect(second[0].previous).to.equal('records.log.2029-01-01');
+          expect(second[2]).to.include({lines: 1, reason: 'close'});
+          done();
+        });
+      });
+
+      it('should link the first header to the file of an earlier run', function (done) {
+        fs.writeFileSync(path.join(recordLogPath, 'records.log.2028-12-31'), '');
+        var transport = create({fileFooter: false});
+        transport.log('info', 'message', {}, function () {
+          transport.close(function () {
+            expect(read('records.log.2029-01-01')[0].previous).to.equal('records.log.2028-12-31');
+            done();
+          });
+        });
+      });
+
+      it('should let fileHeader change the header', function (done) {
+        var transport = create({
+          fileHeader: function (header) {
+            header.service = 'billing';
+            delete header.options;
+            return header;
+          }
+        });
+
+        transport.log('info', 'message', {}, function () {
+          transport.close(function () {
+            var header = read('records.log.2029-01-01')[0];
+            expect(header.service).to.equal('billing');
+            expect(header).to.not.have.property('options');
+            done();
+          });
+        });
+      });
+
+      it('should skip the records when querying and streaming', function (done) {
+        var transport = create();
+        var streamed = [];
+        var stream = transport.stream({interval: 10});
+        stream.on('log', function (log) {
+          streamed.push(log.message);
+        });
+
+        logOverTwoDays(transport, function () {
+          create().query({from: new Date(1861920000000), until: new Date(1862092800000), order: 'asc'}, function (err, results) {
+            expect(err).to.be.null;
+            expect(results.map(function (log) {
+              return log.message;
+            })).to.eql(['first day', 'second day']);
+
+            setTimeout(function () {
+              stream.destroy();
+              expect(streamed).to.eql(['first day', 'second day']);
+              done();
+            }, 50);
+          });
+        });
+      });
+    });
+
+    describe('with a hash chain', function () {
+      var chainLogPath = path.join(fixturesDir, 'chain');
+
+      function create() {
+        return new DailyRotateFile({
+          filename: path.join(chainLogPath, 'chain.log'),
+          datePattern: '.yyyy-MM-dd',
+          hashChain: true,
+          durability: 'sync',
+          maxsize: 250
+        });
+      }
+
+      function logAll(transport, count, done) {
+        var sent = 0;
+        (function next() {
+          if (sent === count) {
+            transport._stream.once('close', function () {
+              done();
             });
+            return transport.close();
+          }
+          transport.log('info', 'message ' + sent++, {}, function (err) {
+            expect(err).to.be.null;
+            next();
+          });
+        })();
+      }
+
+      function files() {
+        return fs.readdirSync(chainLogPath).sort(function (a, b) {
+          return a.length - b.length || (a < b ? -1 : 1);
+        }).map(function (name) {
+          return path.join(chainLogPath, name);
+        });
+      }
+
+      beforeEach(function (done) {
+        rimraf.sync(chainLogPath);
+        mkdirp.sync(chainLogPath);
+        logAll(create(), 8, done);
+      });
+
+      it('should link every line to the one before, across files', function (done) {
+        var names = files();
+        expect(names.length).to.be.above(1);
+
+        var first = fs.readFileSync(names[1], 'utf8').split('\n')[0];
+        expect(JSON.parse(first).chainHash).to.match(/^[0-9a-f]{64}$/);
+        expect(JSON.parse(first).chainPrevious).to.equal(path.basename(names[0]));
+
+        create().verify(function (err, report) {
+          expect(err).to.be.null;
+          expect(report).to.eql({valid: true, files: names.length, lines: 8});
+          done();
+        });
+      });
+
+      it('should carry on the chain after a restart', function (done) {
+        logAll(create(), 3, function () {
+          create().verify(chainLogPath, function (err, report) {
+            expect(err).to.be.null;
+            expect(report.valid).to.be.true;
+            expect(report.lines).to.equal(11);
+            done();
+          });
+        });
+      });
+
+      it('should report a modified line', function (done) {
+        var name = files()[0];
+        fs.writeFileSync(name, fs.readFileSync(name, 'utf8').replace('message 1', 'message X'));
+
+        create().verify(function (err, report) {
+          expect(err).to.be.null;
+          expect(report.valid).to.be.false;
+          expect(report.reason).to.equal('modified');
+          expect(report.file).to.equal(name);
+          expect(report.line).to.equal(2);
+          done();
+        });
+      });
+
+      it('should report a broken link when a file was truncated', function (done) {
+        var names = files();
+        var lines = fs.readFileSync(names[0], 'utf8').split('\n');
+        fs.writeFileSync(names[0], lines.slice(0, lines.length - 2).join('\n') + '\n');
+
+        create().verify(function (err, report) {
+          expect(err).to.be.null;
+          expect(report.reason).to.equal('broken');
+          expect(report.file).to.equal(names[1]);
+          expect(report.line).to.equal(1);
+          done();
+        });
+      });
+
+      it('should report a missing file, but not the ones before the oldest left', function (done) {
+        var names = files();
+        expect(names.length).to.be.above(2);
+        fs.unlinkSync(names[1]);
+
+        create().verify(function (err, report) {
+          expect(err).to.be.null;
+          expect(report.reason).to.equal('missing');
+          expect(report.file).to.equal(names[1]);
+
+          fs.unlinkSync(names[0]);
+          create().verify(function (err, report) {
+            expect(err).to.be.null;
+            expect(report.valid).to.be.true;
+            done();
+          });
+        });
+      });
+
+      it('should only chain json lines', function () {
+        expect(function () {
+          return new DailyRotateFile({filename: path.join(chainLogPath, 'chain.log'), hashChain: true, json: false});
+        }).to.throw(/json/);
+      });
+    });
+
+    describe('command line tool', function () {
+      var cliLogPath = path.join(fixturesDir, 'cli');
+      var bin = path.join(__dirname, '..', 'bin', 'winston-daily-rotate-file.js');
+      var naming = [path.join(cliLogPath, 'cli.log'), '--date-pattern', '.yyyy-MM-dd', '--utc'];
+
+      function run(command, args, done) {
+        childProcess.execFile(process.execPath, [bin, command].concat(naming, args), function (err, stdout) {
+          expect(err).to.be.null;
+          done(stdout.split('\n').filter(Boolean));
+        });
+      }
+
+      function write(date, messages) {
+        fs.writeFileSync(path.join(cliLogPath, 'cli.log.' + date), messages.map(function (message) {
+          return JSON.stringify({level: message[0], message: message[1], timestamp: date + 'T01:00:00.000Z'}) + '\n';
+        }).join(''));
+      }
+
+      beforeEach(function () {
+        rimraf.sync(cliLogPath);
+        mkdirp.sync(cliLogPath);
+        write('2029-01-01', [['info', 'first'], ['error', 'broken']]);
+        write('2029-01-02', [['info', 'second']]);
+        write('2029-01-03', [['info', 'third']]);
+      });
+
+      it('should not limit the number of entries by default', function (done) {
+        var messages = [];
+        for (var i = 0; i < 15; i++) {
+          messages.push(['info', 'many ' + i]);
+        }
+        write('2029-01-04', messages);
+
+        run('query', ['--search', 'many', '--until', '2030-01-01'], function (lines) {
+          expect(lines).to.have.length(15);
+          done();
+        });
+      });
+
+      it('should list the files with their periods', function (done) {
+        run('list', [], function (lines) {
+          expect(lines).to.have.length(3);
+          expect(lines[0].split('\t').slice(0, 3)).to.eql([
+            'cli.log.2029-01-01', '2029-01-01T00:00:00.000Z', '2029-01-02T00:00:00.000Z'
+          ]);
+          done();
+        });
+      });
+
+      it('should query across files and archives by level and text', function (done) {
+        run('compress', [], function (lines) {
+          expect(lines).to.have.length(2);
+          expect(fs.existsSync(path.join(cliLogPath, 'cli.log.2029-01-03'))).to.be.true;
+
+          run('query', ['--level', 'info', '--search', 'ir', '--until', '2030-01-01'], function (lines) {
+            expect(lines.map(function (line) {
+              return JSON.parse(line).message;
+            })).to.eql(['first', 'third']);
+            done();
+          });
+        });
+      });
+
+      it('should prune by the retention rules of the transport', function (done) {
+        run('prune', ['--max-files', '3'], function (lines) {
+          expect(lines).to.eql([]);
+          expect(fs.readdirSync(cliLogPath)).to.have.length(3);
+          run('prune', ['--max-files', '2'], function (lines) {
+            expect(lines).to.eql([path.join(cliLogPath, 'cli.log.2029-01-01') + '\tmaxFiles']);
+            expect(fs.readdirSync(cliLogPath)).to.have.length(2);
+            done();
           });
         });
       });
+
+      it('should tail the current file across rotations', function (done) {
+        var child = childProcess.spawn(process.execPath, [bin, 'tail'].concat(naming, ['--interval', '50']));
+        var output = '';
+        child.stdout.on('data', function (data) {
+          output += data;
+          if (output.indexOf('third') !== -1 && output.indexOf('fourth') === -1) {
+            write('2029-01-04', [['info', 'fourth']]);
+          }
+          if (output.indexOf('fourth') !== -1) {
+            child.kill();
+          }
+        });
+        child.on('exit', function () {
+          expect(output).to.contain('fourth');
+          done();
+        });
+      });
     });
 
     describe('when passed with maxsize and maxfiles', function () {
@@ -400,3 +2808,148 @@ describe('winston/transports/daily-rotate-file', function () {
     });
   });
 });
+
+(winston3 ? describe : describe.skip)('winston/transports/daily-rotate-file with winston 3', function () {
+  var DailyRotateFile3 = winston3 && requireWithWinston3();
+  var winston3LogPath = path.join(fixturesDir, 'winston3');
+  var logger;
+  var transport;
+
+  function create(options, loggerOptions) {
+    transport = new DailyRotateFile3(Object.assign({
+      filename: path.join(winston3LogPath, 'winston3.log'),
+      datePattern: '.yyyy-MM-dd',
+      utc: true
+    }, options));
+    logger = winston3.createLogger(Object.assign({
+      format: winston3.format.combine(winston3.format.timestamp(), winston3.format.json()),
+      transports: [transport]
+    }, loggerOptions));
+    return transport;
+  }
+
+  function lines(callback) {
+    transport.close(function () {
+      var content = fs.readFileSync(path.join(winston3LogPath, 'winston3.log.2029-01-01'), 'utf8');
+      callback(content.split('\n').filter(Boolean));
+    });
+  }
+
+  beforeEach(function () {
+    tk.travel(new Date(1861947160000)); // GMT: Mon, 01 Jan 2029 07:32:40 GMT
+    rimraf.sync(winston3LogPath);
+    mkdirp.sync(winston3LogPath);
+  });
+
+  afterEach(function (done) {
+    tk.reset();
+    logger.exceptions.unhandle();
+    transport.close(done);
+  });
+
+  it('should be a winston 3 transport', function () {
+    create();
+    expect(transport).to.be.instanceOf(winston3.Transport);
+    expect(transport.log).to.have.length(2);
+    expect(logger.transports).to.eql([transport]);
+  });
+
+  it('should write messages formatted by the format of the logger', function (done) {
+    create();
+    transport.once('logged', function (info) {
+      expect(info.message).to.equal('formatted');
+      lines(function (lines) {
+        var log = JSON.parse(lines[0]);
+        expect(log).to.have.all.keys('level', 'message', 'id', 'timestamp');
+        expect(log.id).to.equal(1);
+        expect(log.timestamp).to.match(/^2029-01-01T07:32/);
+        done();
+      });
+    });
+    logger.info('formatted', {id: 1});
+  });
+
+  it('should prefer the format of the transport', function (done) {
+    create({
+      format: winston3.format.printf(function (info) {
+        return info.level + ' - ' + info.message;
+      })
+    });
+    transport.once('logged', function () {
+      lines(function (lines) {
+        expect(lines).to.eql(['warn - printed']);
+        done();
+      });
+    });
+    logger.warn('printed');
+  });
+
+  it('should only write messages of its level or above', function (done) {
+    create({level: 'warn'});
+    transport.on('logged', function (info) {
+      if (info.message !== 'last') {
+        return;
+      }
+
+      lines(function (lines) {
+        expect(lines.map(function (line) {
+          return JSON.parse(line).message;
+        })).to.eql(['warned', 'last']);
+        done();
+      });
+    });
+    logger.info('ignored');
+    logger.warn('warned');
+    logger.debug('ignored too');
+    logger.error('last');
+  });
+
+  it('should write uncaught exceptions with handleExceptions', function (done) {
+    create({handleExceptions: true}, {exitOnError: false});
+    transport.once('logged', function (info) {
+      expect(info.exception).to.be.true;
+      lines(function (lines) {
+        var log = JSON.parse(lines[0]);
+        expect(log.message).to.contain('uncaughtException: boom');
+        expect(log.stack).to.contain('Error: boom');
+        done();
+      });
+    });
+    logger.exceptions._uncaughtException(new Error('boom'));
+  });
+
+  it('should answer queries of the logger', function (done) {
+    create();
+    transport.once('logged', function () {
+      logger.query({
+        from: new Date('2029-01-01T00:00:00.000Z'),
+        until: new Date('2029-01-02T00:00:00.000Z')
+      }, function (err, results) {
+        expect(err).to.not.exist;
+        expect(results.dailyRotateFile.map(function (log) {
+          return log.message;
+        })).to.eql(['queried']);
+        done();
+      });
+    });
+    logger.info('queried');
+  });
+
+  it('should stream new messages to the logger', function (done) {
+    create();
+    transport.once('logged', function () {
+      var stream = logger.stream({start: -1, interval: 10});
+      stream.on('log', function (log) {
+        if (log.message === 'streamed') {
+          expect(log.transport).to.eql(['dailyRotateFile']);
+          stream.destroy();
+          done();
+        }
+      });
+      setTimeout(function () {
+        logger.info('streamed');
+      }, 20);
+    });
+    logger.info('before');
+  });
+});